@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+// stdout holds the output of the commands (e.g. an export written with `--output -`), log entries go to stderr
+require('./src/logger').sendLogsToStderr();
+
+// Maintenance commands, run with `node cli.js <command> [options]` (or `npm run cli -- <command> ...`)
+const commands = {
+    webhooks: require('./src/commands/webhooks'),
+    'dead-letters': require('./src/commands/deadLetters'),
+    reconcile: require('./src/commands/reconcile'),
+    replay: require('./src/commands/replay'),
+    export: require('./src/commands/export'),
+};
+
+function printUsage() {
+    console.log('Usage: node cli.js <command> [options]\n\nCommands:');
+    for (const [name, command] of Object.entries(commands)) {
+        console.log(`  ${name.padEnd(12)} ${command.description}`);
+    }
+}
+
+async function main() {
+    const [commandName, ...args] = process.argv.slice(2);
+    const command = commands[commandName];
+
+    if (!command) {
+        printUsage();
+        process.exitCode = commandName ? 1 : 0;
+        return;
+    }
+    await command.run(args);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
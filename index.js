@@ -1,329 +1,154 @@
 require('dotenv').config();
-const { ethers } = require('ethers');
-const { createClient } = require('@supabase/supabase-js');
-const { formatEther } = require('ethers/lib/utils');
-
-// Supabase connection
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY,
-    {
-        auth: {
-            persistSession: false
-        },
-        db: {
-            schema: 'public'
-        }
-    }
-);
-
-async function checkSupabaseConnection() {
+const { storage } = require('./src/storage');
+const { resolveTokenDecimals } = require('./src/tokens');
+const { createPriceSource, startPriceRetrier } = require('./src/prices');
+const { loadConfig } = require('./src/config');
+const { createChainProvider, createChainProviders, subscribeToBlocks } = require('./src/rpc');
+const { startApiServer } = require('./src/api');
+const { startWebhookDispatcher } = require('./src/webhooks');
+const { startComplianceScreening } = require('./src/compliance');
+const { startLiveFeed, closeLiveFeed } = require('./src/feed');
+const { recordChainHead, forgetChain } = require('./src/metrics');
+const { listenToContractEvents } = require('./src/listener');
+const { replayDeadLetter } = require('./src/transactions');
+const { startDeadLetterRetrier } = require('./src/deadLetters');
+const { logger } = require('./src/logger');
+const { runForLeadership } = require('./src/leader');
+const { startTransactionEnricher } = require('./src/enrichment');
+
+// Time given to a graceful shutdown before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+
+async function checkStorageConnection() {
     try {
-        // Run a simple query to check if the connection is successful
-        const { data, error } = await supabase
-            .from('user_transactions')  // Query an existing table, e.g., 'user_transactions'
-            .select('id')              // Just fetch one field from the table to test the connection
-            .limit(1);                 // Limit to just one row to ensure it's a lightweight query
-
-        if (error) {
-            console.error('Error connecting to Supabase:', error.message);
-        } else {
-            console.log('Successfully connected to Supabase!');
-        }
+        // Run a lightweight query to check that the storage backend is reachable
+        await storage.ping();
+        logger.info('Connected to storage', { storage: storage.name });
     } catch (err) {
-        console.error('Error during Supabase connection check:', err.message);
+        logger.error('Error connecting to storage', { storage: storage.name, err });
     }
 }
 
 // Call this function when the app starts to verify the connection
-checkSupabaseConnection();
-
-// Contract ABI - Define only the events we need
-const contractABI = [
-    "event BoughtWithNative(address user, uint256 tokenDeposit, uint256 amount, uint256 timestamp)",
-    "event BoughtWithUSDT(address user, uint256 tokenDeposit, uint256 amount, uint256 timestamp)",
-    "event claimHistory(address _user, uint256 _amount, uint256 _timestamp)"
-];
-
-// Helper function to log transaction data in the `user_transactions` table
-async function logTransactionToSupabase(eventName, user, tokenDeposit, amount, paymentType, transactionHash, blockNumber, blockTimestamp, chainName) {
-    try {
-        console.log("EVENTS LOGS:", eventName, user, tokenDeposit, amount, paymentType, transactionHash, blockNumber, blockTimestamp, chainName);
-        
-        // Add retry logic for network issues
-        let retries = 3;
-        while (retries > 0) {
-            try {
-                const { data, error } = await supabase
-                    .from('user_transactions')
-                    .insert([
-                        {
-                            address: user.toLowerCase(), // Convert address to lowercase
-                            transaction_hash: transactionHash,
-                            chain_name: chainName,
-                            event_name: eventName,
-                            payment_type: paymentType,
-                            deposit_amount: tokenDeposit?.toString(),
-                            token_amount: amount?.toString(),
-                            block_number: blockNumber,
-                            block_timestamp: blockTimestamp,
-                        }
-                    ]);
-
-                if (error) throw error;
-                console.log(`Transaction logged: ${eventName} for user ${user.toLowerCase()}`);
-                break;
-            } catch (err) {
-                retries--;
-                if (retries === 0) throw err;
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-            }
+checkStorageConnection();
+
+// Function to start the listeners of every contract of a chain, in the background.
+// Returns a function that stops them and closes the chain's RPC connections.
+function startChainListeners(chain) {
+    const log = logger.child({ chain: chain.name });
+    const controller = new AbortController();
+    let provider = null;
+    let blocks = null;
+    let stopEnricher = null;
+    let stopPriceRetrier = null;
+
+    const starting = (async () => {
+        // Requests fail over between the chain's RPC endpoints, new blocks come over WebSocket when configured
+        provider = createChainProvider(chain);
+        provider.startHealthChecks();
+        blocks = subscribeToBlocks(chain, provider);
+        recordChainHead(chain.name, await provider.getBlockNumber());
+        blocks.on('block', (blockNumber) => recordChainHead(chain.name, blockNumber));
+        const decimals = await resolveTokenDecimals(provider, chain.name, chain.tokens);
+        const priceSource = createPriceSource(chain, provider);
+        if (chain.priceSource) {
+            stopPriceRetrier = startPriceRetrier(priceSource, chain);
         }
-    } catch (err) {
-        console.error(`Error logging transaction: ${err.message}`);
-    }
-}
-
-// Helper function to update or insert user deposit data in the `user_deposits` table
-async function updateUserDeposit(address, depositAmount, tokenAmount, usdtAmount, paymentType) {
-    try {
-        // Convert amounts to numbers and handle potential NaN
-        depositAmount = Number(depositAmount) || 0;
-        tokenAmount = Number(tokenAmount) || 0;
-        usdtAmount = Number(usdtAmount) || 0;
-        
-        // Convert address to lowercase
-        const lowerAddress = address.toLowerCase();
-
-        // First, try to get existing record
-        const { data: existingDeposit } = await supabase
-            .from('user_deposits')
-            .select('*')
-            .eq('address', lowerAddress)
-            .single();
-
-        let newData;
-        if (existingDeposit) {
-            // If record exists, update the values
-            newData = {
-                address: lowerAddress, // Include address in updates
-                total_native_deposit: (Number(existingDeposit.total_native_deposit || 0) + (paymentType === 'native' ? depositAmount : 0)).toString(),
-                total_usdt_deposit: (Number(existingDeposit.total_usdt_deposit || 0) + (paymentType === 'usdt' ? usdtAmount : 0)).toString(),
-                total_token_amount: (Number(existingDeposit.total_token_amount || 0) + tokenAmount).toString(),
-                last_updated: new Date().toISOString(),
-            };
-        } else {
-            // If no record exists, create new data
-            newData = {
-                address: lowerAddress,
-                total_native_deposit: paymentType === 'native' ? depositAmount.toString() : '0',
-                total_usdt_deposit: paymentType === 'usdt' ? usdtAmount.toString() : '0',
-                total_token_amount: tokenAmount.toString(),
-                last_updated: new Date().toISOString(),
-            };
+        if (chain.enrichTransactions) {
+            stopEnricher = startTransactionEnricher(provider, chain, decimals);
         }
 
-        const { error } = await supabase
-            .from('user_deposits')
-            .upsert(newData, {
-                onConflict: 'address'
-            });
-
-        if (error) throw error;
-        console.log(`User deposit updated for ${lowerAddress}`);
-    } catch (err) {
-        console.error('Error updating user deposit:', err);
-        // Log full error details for debugging
-        console.error('Full error:', JSON.stringify(err, null, 2));
-    }
+        const results = await Promise.allSettled(chain.contracts.map((contractConfig) => {
+            return listenToContractEvents(provider, blocks, chain, contractConfig, decimals, priceSource, controller.signal);
+        }));
+        for (const result of results.filter((candidate) => candidate.status === 'rejected')) {
+            log.error('Error starting event listener', { err: result.reason });
+        }
+        return results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+    })();
+
+    starting.catch((err) => log.error('Error starting event listeners', { err }));
+
+    return async function stopChainListeners() {
+        controller.abort();
+        const stopListeners = await starting.catch(() => []);
+        await Promise.all([...stopListeners.map((stopListener) => stopListener()), stopEnricher?.(), stopPriceRetrier?.()]);
+        blocks?.stop();
+        provider?.stopHealthChecks();
+        forgetChain(chain.name);
+        log.info('Event listeners stopped');
+    };
 }
 
-/////////////////////////////////////////////////////////////////////////////////////////
-/////////////////////////////////////////////////////////////////////////////////////////
-////////////////////////////// FOR OLD EVENTS ///////////////////////////////////////////
-/////////////////////////////////////////////////////////////////////////////////////////
-
-// // Function to query past events from the contract
-// async function fetchPastEvents(provider, contract, eventName, fromBlock, toBlock) {
-//     try {
-//         const eventFilter = contract.filters[eventName]();
-//         const events = await contract.queryFilter(eventFilter, fromBlock, toBlock);
-
-//         for (let event of events) {
-//             const { user, tokenDeposit, amount, timestamp } = event.args;
-//             const { transactionHash, blockNumber } = event;
-//             console.log(transactionHash, blockNumber,"transactionHash, blockNumber");
-//             const blockTimestamp = new Date(timestamp * 1000); // Convert to JS Date object
-
-//             console.log(`[${provider.network.name}] Past Event: ${eventName} detected: ${user} bought ${formatEther(amount?.toString())} tokens.`);
-//             let tokens = provider.network.name == "bnbt" && eventName == "BoughtWithUSDT" ? formatEther(tokenDeposit?.toString()) : tokenDeposit?.toString() / 10**6
-//             let desposit = eventName == "BoughtWithUSDT" ? tokens?.toString() : formatEther(tokenDeposit?.toString())
-//             // Log the transaction to user_transactions table
-//             await logTransactionToSupabase(eventName, user, desposit, formatEther(amount?.toString()), eventName, transactionHash?.toString(), blockNumber, blockTimestamp, provider.network.name);
-//         }
-
-//     } catch (err) {
-//         console.error(`Error fetching past events: ${err.message}`);
-//     }
-// }
-
-
-
-// Function to listen to events on a contract
-async function listenToContractEvents(rpcUrl, contractAddress, networkName) {
-
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    const contract = new ethers.Contract(contractAddress, contractABI, provider);
-
-    // Fetch past events before starting live listeners
-    // const blockNumber = await provider.getBlockNumber(); // Get latest block number
-
-    // // Define the range of blocks to search for past events
-    // const fromBlock = 48053650; // You can change this to the specific block number you want to start from
-    // const toBlock = blockNumber;
-
-    // // Fetch past events
-    // await fetchPastEvents(provider, contract, 'BoughtWithNative', fromBlock, toBlock);
-    // await fetchPastEvents(provider, contract, 'BoughtWithUSDT', fromBlock, toBlock);
-    // await fetchPastEvents(provider, contract, 'claimHistory', fromBlock, toBlock);
-
-
-
-
-    // Event listener for 'BoughtWithNative' event
-    contract.on('BoughtWithNative', async (user, tokenDeposit, amount, timestamp, event) => {
-        const blockTimestamp = new Date(timestamp * 1000);
-        
-        // Convert from wei to ETH/BNB/MATIC and format to 6 decimal places
-        const depositInEth = Number(ethers.utils.formatEther(tokenDeposit));
-        const amountInTokens = Number(ethers.utils.formatEther(amount));
-        
-        console.log(`[${networkName}] BoughtWithNative event:`, {
-            user,
-            deposit: depositInEth,
-            tokens: amountInTokens
-        });
-
-        await logTransactionToSupabase(
-            'BoughtWithNative',
-            user,
-            depositInEth.toFixed(6),
-            amountInTokens.toFixed(6),
-            'native',
-            event?.transactionHash,
-            event?.blockNumber,
-            blockTimestamp,
-            networkName
-        );
-
-        await updateUserDeposit(
-            user,
-            depositInEth.toFixed(6),
-            amountInTokens.toFixed(6),
-            0,
-            'native'
-        );
-    });
-
-    // Event listener for 'BoughtWithUSDT' event
-    contract.on('BoughtWithUSDT', async (user, tokenDeposit, amount, timestamp, event) => {
-        const blockTimestamp = new Date(timestamp * 1000);
-        
-        // Convert USDT amount (6 decimals) to normal number
-        // const depositInUSDT = Number(tokenDeposit.toString()) / 1000000;
-        const amountInTokens = Number(ethers.utils.formatEther(amount));
-        
-        let depositInUSDT = networkName == "BSC" ? Number(formatEther(tokenDeposit?.toString())) : Number(tokenDeposit?.toString() / 10 ** 6)
-
-
-        console.log(`[${networkName}] BoughtWithUSDT event:`, {
-            user,
-            deposit: depositInUSDT,
-            tokens: amountInTokens
+// Main function to index every chain in the network config. Each chain is indexed by the one instance
+// holding its lease (src/leader.js), so several instances can run side by side: a standby instance
+// takes a chain over once the lease of its leader expires. Returns the leadership of every chain.
+function startListeners() {
+    const config = loadConfig();
+
+    return config.chains.map((chain) => {
+        let stopChainListeners = null;
+        return runForLeadership(`chain:${chain.name}`, {
+            onAcquired() {
+                stopChainListeners = startChainListeners(chain);
+            },
+            async onLost() {
+                await stopChainListeners?.();
+                stopChainListeners = null;
+            },
         });
-
-        await logTransactionToSupabase(
-            'BoughtWithUSDT',
-            user,
-            depositInUSDT.toFixed(6),
-            amountInTokens.toFixed(6),
-            'usdt',
-            event?.transactionHash,
-            event?.blockNumber,
-            blockTimestamp,
-            networkName
-        );
-
-        await updateUserDeposit(
-            user,
-            0,
-            amountInTokens.toFixed(6),
-            depositInUSDT.toFixed(6),
-            'usdt'
-        );
     });
+}
 
-    // Event listener for 'claimHistory' event
-    contract.on('claimHistory', async (_user, _amount, _timestamp, event) => {
-        const blockTimestamp = new Date(_timestamp * 1000);
-        const formattedAmount = Number(formatEther(_amount)).toFixed(6);
-        
-        console.log(`[${networkName}] claimHistory event detected: ${_user} claimed ${formattedAmount} tokens`);
+// Serve the read-only HTTP API next to the indexer
+const apiServer = startApiServer();
 
-        await logTransactionToSupabase(
-            'claimHistory',
-            _user,
-            '0',
-            formattedAmount,
-            'claim',
-            event?.transactionHash,
-            event?.blockNumber,
-            blockTimestamp,
-            networkName
-        );
+// Deliver confirmed events to the configured webhook subscriptions
+const webhookDispatcher = startWebhookDispatcher();
 
-        await updateUserDeposit(
-            _user,
-            0,
-            formattedAmount,
-            0,
-            'token'
-        );
-    });
+// Screen confirmed purchases against the denylist and the per-wallet cap
+startComplianceScreening();
 
-    console.log(`[${networkName}] Listening for events...`);
-}
-
-// Main function to start listeners for all networks
-async function startListeners() {
-    const networks = [
-        {
-            name: 'ETH',
-            rpcUrl: process.env.ETH_RPC_URL,
-            contractAddress: process.env.ETH_CONTRACT_ADDRESS
-        },
-        {
-            name: 'BSC',
-            rpcUrl: process.env.BSC_RPC_URL,
-            contractAddress: process.env.BSC_CONTRACT_ADDRESS
-        },
-        {
-            name: 'POLYGON',
-            rpcUrl: process.env.POLYGON_RPC_URL,
-            contractAddress: process.env.POLYGON_CONTRACT_ADDRESS
-        }
-    ];
+// Push confirmed purchases and claims to the subscribers of the public live feed
+startLiveFeed();
 
-    const listeners = networks.map((network) => {
-        return listenToContractEvents(network.rpcUrl, network.contractAddress, network.name);
-    });
+// Write the dead-lettered database writes again once the database is reachable
+const getChainProvider = createChainProviders();
+const stopDeadLetterRetrier = startDeadLetterRetrier((entry) => replayDeadLetter(entry, getChainProvider));
 
-    // Run all listeners in parallel
-    await Promise.all(listeners);
-    console.log('All event listeners are now active and listening in parallel...');
+// Start listening for events from all networks
+const chainLeaderships = startListeners();
+
+// Graceful shutdown on SIGTERM and SIGINT: the listeners stop taking new blocks, finish the ones in flight and
+// save their checkpoints, then the leases are released so a standby instance takes over at once.
+// A second signal, or SHUTDOWN_TIMEOUT_MS, exits without waiting.
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn('Exiting without waiting for the shutdown', { signal });
+        process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+    setTimeout(() => {
+        logger.error('Shutdown timed out, exiting', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    stopDeadLetterRetrier();
+    try {
+        await Promise.all([
+            ...chainLeaderships.map((leadership) => leadership.stop()),
+            webhookDispatcher?.stop(),
+        ]);
+    } catch (err) {
+        logger.error('Error shutting down', { err });
+    }
+    closeLiveFeed();
+    apiServer.close();
+    logger.info('Shutdown complete');
+    process.exit(0);
 }
 
-// Start listening for events from all networks
-startListeners().catch((error) => {
-    console.error('Error starting event listeners:', error);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
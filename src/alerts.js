@@ -0,0 +1,76 @@
+const { logger } = require('./logger');
+
+// Alert channels: where operational alerts (compliance violations, ...) are reported.
+// Channels are configured as a list of { "type": ..., ...options }; the built-in types are
+//   { "type": "log" }                        an error entry in the service log
+//   { "type": "webhook", "url": "https://..." }
+//                                            a JSON POST of { text, alert }, which Slack and most chat
+//                                            incoming webhooks accept as is
+// Other channels are plugged in with registerAlertChannel before the service starts.
+
+const REQUEST_TIMEOUT_MS = Number(process.env.ALERT_TIMEOUT_MS) || 10000;
+
+function createLogChannel() {
+    return {
+        async send(alert) {
+            logger.error(alert.text, { alert });
+        },
+    };
+}
+
+function createWebhookChannel(options) {
+    return {
+        async send(alert) {
+            const response = await fetch(options.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: alert.text, alert }),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        },
+    };
+}
+
+const channelTypes = {
+    log: createLogChannel,
+    webhook: createWebhookChannel,
+};
+
+// Function to add a channel type. `factory(options)` gets the channel's config entry and returns { send(alert) }.
+function registerAlertChannel(type, factory) {
+    channelTypes[type] = factory;
+}
+
+// Helper function to check a list of channel configs, pushing every problem to `errors`
+function validateAlertChannels(channels, location, errors) {
+    if (!Array.isArray(channels)) {
+        errors.push(`${location}: expected a list`);
+        return;
+    }
+    channels.forEach((channel, index) => {
+        if (!channelTypes[channel?.type]) {
+            errors.push(`${location}[${index}].type: expected one of ${Object.keys(channelTypes).join(', ')}, got ${JSON.stringify(channel?.type)}`);
+        } else if (channel.type === 'webhook' && !/^https?:\/\//.test(channel.url || '')) {
+            errors.push(`${location}[${index}].url: expected an http(s) URL, got ${JSON.stringify(channel.url)}`);
+        }
+    });
+}
+
+// Function to create the alert sender of a list of channel configs. `sendAlert(alert)` reports to every
+// channel; a failing channel is logged and does not stop the others. `alert.text` is a one-line summary.
+function createAlertSender(channels) {
+    const senders = channels.map((channel) => ({ type: channel.type, channel: channelTypes[channel.type](channel) }));
+
+    return async function sendAlert(alert) {
+        await Promise.all(senders.map(async ({ type, channel }) => {
+            try {
+                await channel.send(alert);
+            } catch (err) {
+                logger.error('Error sending alert', { channel: type, alertType: alert.type, err });
+            }
+        }));
+    };
+}
+
+module.exports = { registerAlertChannel, validateAlertChannels, createAlertSender };
@@ -0,0 +1,62 @@
+const { BigNumber } = require('ethers');
+const { parseUnits, formatUnits } = require('ethers/lib/utils');
+
+// Decimal-normalized amounts are added as integers scaled to 18 decimals,
+// which is the highest precision of any token we index, so no digit is ever rounded away.
+const SCALE = 18;
+
+function toScaled(value) {
+    if (value === null || value === undefined || value === '') return BigNumber.from(0);
+    return parseUnits(value.toString(), SCALE);
+}
+
+// Helper function to format a scaled integer back to a decimal string, without a trailing ".0"
+function fromScaled(scaled) {
+    return formatUnits(scaled, SCALE).replace(/\.0$/, '');
+}
+
+// Helper function to add decimal amounts given as strings (or numbers) without losing precision
+function addAmounts(...values) {
+    return fromScaled(values.reduce((sum, value) => sum.add(toScaled(value)), BigNumber.from(0)));
+}
+
+// Helper function to negate a decimal amount
+function negateAmount(value) {
+    return fromScaled(toScaled(value).mul(-1));
+}
+
+// Helper function to multiply two decimal amounts, e.g. a native amount by its USD price.
+// The result is truncated to 18 decimals.
+function multiplyAmounts(a, b) {
+    return fromScaled(toScaled(a).mul(toScaled(b)).div(BigNumber.from(10).pow(SCALE)));
+}
+
+// Helper function to compare two decimal amounts, returns -1, 0 or 1
+function compareAmounts(a, b) {
+    const difference = toScaled(a).sub(toScaled(b));
+    if (difference.isZero()) return 0;
+    return difference.isNegative() ? -1 : 1;
+}
+
+// Helper function to check the decimals of a token. Missing decimals must not silently default to 18,
+// and more than SCALE decimals cannot be added up without rounding.
+function checkDecimals(decimals) {
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > SCALE) {
+        throw new Error(`Invalid token decimals: ${JSON.stringify(decimals)}, expected an integer from 0 to ${SCALE}`);
+    }
+}
+
+// Helper function to convert a raw on-chain integer amount to its decimal-normalized string
+function normalizeAmount(rawAmount, decimals) {
+    checkDecimals(decimals);
+    return formatUnits(rawAmount, decimals).replace(/\.0$/, '');
+}
+
+// Helper function to convert a decimal-normalized amount to a raw integer amount with `decimals` decimals,
+// the inverse of normalizeAmount. Digits beyond `decimals` are truncated.
+function toRawAmount(value, decimals) {
+    checkDecimals(decimals);
+    return toScaled(value).div(BigNumber.from(10).pow(SCALE - decimals)).toString();
+}
+
+module.exports = { addAmounts, negateAmount, multiplyAmounts, compareAmounts, normalizeAmount, toRawAmount };
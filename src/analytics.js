@@ -0,0 +1,183 @@
+const { addAmounts, compareAmounts } = require('./amounts');
+const { getConfirmedTransactions } = require('./transactions');
+
+// Aggregates are computed from the confirmed rows of `user_transactions`, so dashboards polling the endpoints
+// do not re-read the whole table on every request. Only one copy of the rows is cached, for CACHE_TTL_MS,
+// and the chain and time filters are applied to it: a request with new filter values costs no memory.
+const CACHE_TTL_MS = Number(process.env.ANALYTICS_CACHE_TTL_MS ?? 30000);
+let cache = null;
+
+const PURCHASE_TYPES = ['native', 'usdt'];
+
+// Helper function to read every confirmed row, cached. Concurrent requests share the same read.
+function loadAllTransactions() {
+    if (!cache || cache.expiresAt <= Date.now()) {
+        const rows = getConfirmedTransactions();
+        cache = { rows, expiresAt: Date.now() + CACHE_TTL_MS };
+        // A failed read is not cached
+        rows.catch(() => {
+            if (cache?.rows === rows) cache = null;
+        });
+    }
+    return cache.rows;
+}
+
+// Helper function to read the confirmed rows of a chain (all chains without one) with a block time
+// from `from` (inclusive) to `to` (exclusive)
+async function loadTransactions({ chainName, from, to }) {
+    const rows = await loadAllTransactions();
+    return rows.filter((row) => {
+        const time = Date.parse(row.block_timestamp);
+        return (!chainName || row.chain_name === chainName)
+            && (!from || time >= from.getTime())
+            && (!to || time < to.getTime());
+    });
+}
+
+function isPurchase(row) {
+    return PURCHASE_TYPES.includes(row.payment_type);
+}
+
+// Total raised per chain and payment type. Native amounts are in each chain's own currency,
+// `amountUsd` values them at the USD price of their purchase block (USDT is counted at par).
+// Native purchases without a price yet are left out of `amountUsd`: they are counted in `unpricedCount`
+// and `unpricedNative`, so `amountUsd` is only complete when `unpricedCount` is 0.
+async function getRaisedTotals(filters) {
+    const rows = await loadTransactions(filters);
+    const totals = {};
+
+    for (const row of rows.filter(isPurchase)) {
+        const key = `${row.chain_name}:${row.payment_type}`;
+        const total = totals[key] || (totals[key] = {
+            chain: row.chain_name,
+            paymentType: row.payment_type,
+            amount: '0',
+            amountUsd: '0',
+            tokens: '0',
+            purchases: 0,
+            unpricedCount: 0,
+            unpricedNative: '0',
+        });
+        total.amount = addAmounts(total.amount, row.deposit_amount);
+        if (row.payment_type === 'usdt') {
+            total.amountUsd = addAmounts(total.amountUsd, row.deposit_amount);
+        } else if (row.deposit_amount_usd === null || row.deposit_amount_usd === undefined) {
+            total.unpricedCount += 1;
+            total.unpricedNative = addAmounts(total.unpricedNative, row.deposit_amount);
+        } else {
+            total.amountUsd = addAmounts(total.amountUsd, row.deposit_amount_usd);
+        }
+        total.tokens = addAmounts(total.tokens, row.token_amount);
+        total.purchases += 1;
+    }
+
+    return Object.values(totals);
+}
+
+// Number of distinct buyer wallets, overall and per chain
+async function getUniqueBuyers(filters) {
+    const rows = await loadTransactions(filters);
+    const buyers = new Set();
+    const buyersPerChain = {};
+
+    for (const row of rows.filter(isPurchase)) {
+        buyers.add(row.address);
+        (buyersPerChain[row.chain_name] || (buyersPerChain[row.chain_name] = new Set())).add(row.address);
+    }
+
+    return {
+        uniqueBuyers: buyers.size,
+        chains: Object.fromEntries(Object.entries(buyersPerChain).map(([chain, set]) => [chain, set.size])),
+    };
+}
+
+// Tokens sold versus claimed, per chain and in total
+async function getTokenTotals(filters) {
+    const rows = await loadTransactions(filters);
+    const chains = {};
+
+    for (const row of rows) {
+        const totals = chains[row.chain_name] || (chains[row.chain_name] = { sold: '0', claimed: '0' });
+        if (isPurchase(row)) {
+            totals.sold = addAmounts(totals.sold, row.token_amount);
+        } else if (row.payment_type === 'claim') {
+            totals.claimed = addAmounts(totals.claimed, row.token_amount);
+        }
+    }
+
+    const perChain = Object.values(chains);
+    const sold = addAmounts(...perChain.map((totals) => totals.sold));
+    const claimed = addAmounts(...perChain.map((totals) => totals.claimed));
+    return { chains, total: { sold, claimed } };
+}
+
+// Helper function to truncate a timestamp to the start of its UTC hour or day
+function bucketStart(timestamp, interval) {
+    const date = new Date(timestamp);
+    if (interval === 'day') {
+        date.setUTCHours(0, 0, 0, 0);
+    } else {
+        date.setUTCMinutes(0, 0, 0);
+    }
+    return date.toISOString();
+}
+
+// Purchases bucketed by hour or day, one series point per bucket, chain and payment type
+async function getTimeSeries(filters, interval) {
+    const rows = await loadTransactions(filters);
+    const points = {};
+
+    for (const row of rows.filter(isPurchase)) {
+        const start = bucketStart(row.block_timestamp, interval);
+        const key = `${start}:${row.chain_name}:${row.payment_type}`;
+        const point = points[key] || (points[key] = {
+            start,
+            chain: row.chain_name,
+            paymentType: row.payment_type,
+            amount: '0',
+            tokens: '0',
+            purchases: 0,
+        });
+        point.amount = addAmounts(point.amount, row.deposit_amount);
+        point.tokens = addAmounts(point.tokens, row.token_amount);
+        point.purchases += 1;
+    }
+
+    return Object.values(points).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Buyers across all chains ranked by tokens purchased, the one unit shared by every chain
+async function getLeaderboard(filters, limit) {
+    const rows = await loadTransactions(filters);
+    const wallets = {};
+
+    for (const row of rows.filter(isPurchase)) {
+        const wallet = wallets[row.address] || (wallets[row.address] = {
+            address: row.address,
+            tokensPurchased: '0',
+            usdt: '0',
+            native: {},
+            purchases: 0,
+        });
+        wallet.tokensPurchased = addAmounts(wallet.tokensPurchased, row.token_amount);
+        if (row.payment_type === 'usdt') {
+            wallet.usdt = addAmounts(wallet.usdt, row.deposit_amount);
+        } else {
+            wallet.native[row.chain_name] = addAmounts(wallet.native[row.chain_name], row.deposit_amount);
+        }
+        wallet.purchases += 1;
+    }
+
+    return Object.values(wallets)
+        .sort((a, b) => compareAmounts(b.tokensPurchased, a.tokensPurchased))
+        .slice(0, limit)
+        .map((wallet, index) => ({ rank: index + 1, ...wallet }));
+}
+
+module.exports = {
+    getRaisedTotals,
+    getUniqueBuyers,
+    getTokenTotals,
+    getTimeSeries,
+    getLeaderboard,
+};
@@ -0,0 +1,262 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { addAmounts } = require('./amounts');
+const analytics = require('./analytics');
+const { getHealth, renderMetrics } = require('./metrics');
+const { logger } = require('./logger');
+const { TRANSACTIONS_TABLE, eventDefinitions } = require('./events');
+const { isFeedFull, subscribeToFeed } = require('./feed');
+const {
+    normalizeAddress,
+    serializeTransaction,
+    getWalletTransactions,
+    getConfirmedTransactions,
+    getTransactionsByHash,
+    transactionBalanceChanges,
+    addBalanceChanges,
+} = require('./transactions');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Errors thrown with a status code are returned to the client as is, anything else is a 500
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+function parseAddress(address) {
+    if (!ethers.utils.isAddress(address)) {
+        throw new HttpError(400, `Invalid wallet address: ${address}`);
+    }
+    return address;
+}
+
+function parseInteger(value, name, fallback, max) {
+    if (value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || (max !== undefined && number > max)) {
+        throw new HttpError(400, `Invalid ${name}: ${value}`);
+    }
+    return number;
+}
+
+// GET /wallets/:address/transactions?chain=&event=&limit=&offset=
+async function walletTransactions({ params, query }) {
+    const address = parseAddress(params.address);
+    const limit = parseInteger(query.get('limit'), 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) || DEFAULT_PAGE_SIZE;
+    const offset = parseInteger(query.get('offset'), 'offset', 0);
+
+    const { rows, total } = await getWalletTransactions(address, {
+        chainName: query.get('chain'),
+        eventName: query.get('event'),
+        limit,
+        offset,
+    });
+
+    return {
+        data: rows.map(serializeTransaction),
+        pagination: { limit, offset, total },
+    };
+}
+
+// GET /wallets/:address/summary
+// Balances per chain are computed from the confirmed transactions, with the same rules as the
+// `user_deposits` aggregates. Native amounts are in each chain's own currency, so they are not added up across chains;
+// their USD value is, and `usd` in the total adds it to the USDT deposits.
+async function walletSummary({ params }) {
+    const address = parseAddress(params.address);
+    const rows = await getConfirmedTransactions({ address });
+
+    const balances = {};
+    for (const row of rows) {
+        balances[row.chain_name] = addBalanceChanges(balances[row.chain_name], transactionBalanceChanges(row));
+    }
+
+    const chains = {};
+    for (const [chainName, balance] of Object.entries(balances)) {
+        chains[chainName] = {
+            native: balance.total_native_deposit,
+            nativeUsd: balance.total_native_deposit_usd,
+            usdt: balance.total_usdt_deposit,
+            tokensPurchased: balance.total_token_amount,
+            tokensClaimed: balance.total_tokens_claimed,
+            tokensClaimable: balance.claimable_tokens,
+        };
+    }
+
+    const perChain = Object.values(chains);
+    return {
+        address: normalizeAddress(address),
+        chains,
+        total: {
+            nativeUsd: addAmounts(...perChain.map((totals) => totals.nativeUsd)),
+            usdt: addAmounts(...perChain.map((totals) => totals.usdt)),
+            usd: addAmounts(...perChain.map((totals) => addAmounts(totals.nativeUsd, totals.usdt))),
+            tokensPurchased: addAmounts(...perChain.map((totals) => totals.tokensPurchased)),
+            tokensClaimed: addAmounts(...perChain.map((totals) => totals.tokensClaimed)),
+            tokensClaimable: addAmounts(...perChain.map((totals) => totals.tokensClaimable)),
+        },
+    };
+}
+
+// GET /transactions/:hash
+async function transactionByHash({ params }) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(params.hash)) {
+        throw new HttpError(400, `Invalid transaction hash: ${params.hash}`);
+    }
+
+    const rows = await getTransactionsByHash(params.hash);
+    if (rows.length === 0) {
+        throw new HttpError(404, `Transaction not found: ${params.hash}`);
+    }
+    return { data: rows.map(serializeTransaction) };
+}
+
+// Helper function to read the chain and block time filters shared by the analytics endpoints
+function parseAnalyticsFilters(query) {
+    const filters = { chainName: query.get('chain') || undefined };
+
+    for (const name of ['from', 'to']) {
+        const value = query.get(name);
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new HttpError(400, `Invalid ${name} date: ${value}`);
+        }
+        filters[name] = date;
+    }
+    return filters;
+}
+
+// GET /analytics/raised?chain=&from=&to=
+async function raisedTotals({ query }) {
+    return { data: await analytics.getRaisedTotals(parseAnalyticsFilters(query)) };
+}
+
+// GET /analytics/buyers?chain=&from=&to=
+async function uniqueBuyers({ query }) {
+    return analytics.getUniqueBuyers(parseAnalyticsFilters(query));
+}
+
+// GET /analytics/tokens?chain=&from=&to=
+async function tokenTotals({ query }) {
+    return analytics.getTokenTotals(parseAnalyticsFilters(query));
+}
+
+// GET /analytics/timeseries?interval=hour|day&chain=&from=&to=
+async function timeSeries({ query }) {
+    const interval = query.get('interval') || 'day';
+    if (!['hour', 'day'].includes(interval)) {
+        throw new HttpError(400, `Invalid interval: ${interval}`);
+    }
+    return { interval, data: await analytics.getTimeSeries(parseAnalyticsFilters(query), interval) };
+}
+
+// GET /analytics/leaderboard?limit=&chain=&from=&to=
+async function leaderboard({ query }) {
+    const limit = parseInteger(query.get('limit'), 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) || DEFAULT_PAGE_SIZE;
+    return { data: await analytics.getLeaderboard(parseAnalyticsFilters(query), limit) };
+}
+
+// Helper function to read a list parameter, given repeated or comma-separated. Returns undefined when absent.
+function parseList(query, name) {
+    const values = query.getAll(name).flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean);
+    return values.length > 0 ? values : undefined;
+}
+
+// GET /feed?chain=&event=&type=purchase|claim, a Server-Sent Events stream of the confirmed purchases and
+// claims with the running totals (see src/feed.js). Every filter takes several values.
+async function liveFeed({ query, req, res }) {
+    const events = parseList(query, 'event');
+    const eventNames = eventDefinitions
+        .filter((definition) => definition.table === TRANSACTIONS_TABLE)
+        .map((definition) => definition.name);
+    const unknownEvent = events?.find((event) => !eventNames.includes(event));
+    if (unknownEvent) {
+        throw new HttpError(400, `Invalid event: ${unknownEvent}`);
+    }
+
+    const types = parseList(query, 'type');
+    const unknownType = types?.find((type) => !['purchase', 'claim'].includes(type));
+    if (unknownType) {
+        throw new HttpError(400, `Invalid type: ${unknownType}`);
+    }
+
+    if (isFeedFull()) {
+        throw new HttpError(503, 'Too many feed subscribers, retry later');
+    }
+    await subscribeToFeed(req, res, { chains: parseList(query, 'chain'), events, types });
+}
+
+// GET /healthz, answers 503 when a chain is stalled
+async function healthz({ res }) {
+    const health = getHealth();
+    sendJson(res, health.healthy ? 200 : 503, health);
+}
+
+// GET /metrics
+async function metrics({ res }) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(renderMetrics());
+}
+
+const routes = [
+    { method: 'GET', pattern: /^\/healthz$/, handler: healthz },
+    { method: 'GET', pattern: /^\/metrics$/, handler: metrics },
+    { method: 'GET', pattern: /^\/wallets\/(?<address>[^/]+)\/transactions$/, handler: walletTransactions },
+    { method: 'GET', pattern: /^\/wallets\/(?<address>[^/]+)\/summary$/, handler: walletSummary },
+    { method: 'GET', pattern: /^\/transactions\/(?<hash>[^/]+)$/, handler: transactionByHash },
+    { method: 'GET', pattern: /^\/analytics\/raised$/, handler: raisedTotals },
+    { method: 'GET', pattern: /^\/analytics\/buyers$/, handler: uniqueBuyers },
+    { method: 'GET', pattern: /^\/analytics\/tokens$/, handler: tokenTotals },
+    { method: 'GET', pattern: /^\/analytics\/timeseries$/, handler: timeSeries },
+    { method: 'GET', pattern: /^\/analytics\/leaderboard$/, handler: leaderboard },
+    { method: 'GET', pattern: /^\/feed$/, handler: liveFeed },
+];
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': process.env.API_CORS_ORIGIN || '*',
+    });
+    res.end(JSON.stringify(body));
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        for (const route of routes) {
+            const match = url.pathname.match(route.pattern);
+            if (!match) continue;
+            if (req.method !== route.method) {
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+
+            // Handlers either return a JSON body or write the response themselves
+            const body = await route.handler({ params: match.groups || {}, query: url.searchParams, req, res });
+            if (body !== undefined) sendJson(res, 200, body);
+            return;
+        }
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+    } catch (err) {
+        if (!err.statusCode) {
+            logger.error('API error', { method: req.method, path: url.pathname, err });
+        }
+        sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Internal server error' });
+    }
+}
+
+// Function to start the read-only HTTP API
+function startApiServer(port = Number(process.env.API_PORT) || 3000) {
+    const server = http.createServer(handleRequest);
+    server.listen(port, () => {
+        logger.info('HTTP API listening', { port });
+    });
+    return server;
+}
+
+module.exports = { startApiServer, HttpError };
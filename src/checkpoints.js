@@ -0,0 +1,23 @@
+const { storage } = require('./storage');
+const { recordWriteFailure } = require('./metrics');
+const { logger } = require('./logger');
+
+// Checkpoints record the last block whose events were fully processed for each
+// chain/contract pair, so a restart can resume from there instead of the chain head.
+
+// Helper function to read the last processed block, or null when the pair was never indexed
+async function getCheckpoint(chainName, contractAddress) {
+    return storage.getCheckpoint(chainName, contractAddress.toLowerCase());
+}
+
+// Helper function to store the last processed block for a chain/contract pair
+async function saveCheckpoint(chainName, contractAddress, lastBlock) {
+    try {
+        await storage.saveCheckpoint(chainName, contractAddress.toLowerCase(), lastBlock);
+    } catch (err) {
+        recordWriteFailure('indexer_checkpoints');
+        logger.error('Error saving checkpoint', { chain: chainName, contract: contractAddress.toLowerCase(), block: lastBlock, err });
+    }
+}
+
+module.exports = { getCheckpoint, saveCheckpoint };
@@ -0,0 +1,107 @@
+const { parseArgs } = require('util');
+const {
+    DEAD_LETTER_FILE,
+    listDeadLetters,
+    getDeadLetter,
+    discardDeadLetter,
+    replayDeadLetterEntry,
+    compactDeadLetters,
+    lockDeadLetters,
+    unlockDeadLetters,
+} = require('../deadLetters');
+const { replayDeadLetter } = require('../transactions');
+const { createChainProviders } = require('../rpc');
+
+const usage = `Usage: node cli.js dead-letters <action> [options]
+
+Actions:
+  list [--status open|resolved|discarded|all]   List dead-lettered writes, open ones by default
+  inspect <id>                                  Show an entry with its full event
+  replay <id...> | --all                        Write entries to the database again (stop the service first)
+  discard <id...>                               Give up on entries (stop the service first)
+  compact                                       Drop resolved and discarded entries from the file (stop the service first)
+
+Queue file: ${DEAD_LETTER_FILE}`;
+
+function requireOpenEntry(id) {
+    const entry = getDeadLetter(id);
+    if (!entry) throw new Error(`Dead letter ${id} not found`);
+    if (entry.status !== 'open') throw new Error(`Dead letter ${id} is already ${entry.status}`);
+    return entry;
+}
+
+async function run(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            status: { type: 'string', default: 'open' },
+            all: { type: 'boolean', default: false },
+        },
+    });
+    const [action, ...ids] = positionals;
+
+    if (action === 'list') {
+        const entries = listDeadLetters(values.status);
+        for (const entry of entries) {
+            const payload = entry.payload;
+            console.log([
+                entry.id,
+                entry.type,
+                entry.status,
+                entry.createdAt,
+                payload.chainName || '',
+                payload.eventName || payload.paymentType || '',
+                payload.transactionHash || payload.address || '',
+                `attempts=${entry.attempts}`,
+                entry.lastError?.message || '',
+            ].join('\t'));
+        }
+        console.log(`${entries.length} ${values.status} dead letters`);
+    } else if (action === 'inspect' && ids.length === 1) {
+        const entry = getDeadLetter(ids[0]);
+        if (!entry) throw new Error(`Dead letter ${ids[0]} not found`);
+        console.log(JSON.stringify(entry, null, 2));
+    } else if (action === 'replay' && (ids.length > 0 || values.all)) {
+        lockDeadLetters();
+        const entries = values.all ? listDeadLetters('open') : ids.map(requireOpenEntry);
+        const getChainProvider = createChainProviders();
+        let failed = 0;
+        try {
+            for (const entry of entries) {
+                if (!(await replayDeadLetterEntry(entry, (replayed) => replayDeadLetter(replayed, getChainProvider)))) failed += 1;
+            }
+        } finally {
+            unlockDeadLetters();
+        }
+        console.log(`${entries.length - failed} replayed, ${failed} failed`);
+        if (failed > 0) process.exitCode = 1;
+    } else if (action === 'discard' && ids.length > 0) {
+        // The retrier could be replaying an entry while it is discarded
+        lockDeadLetters();
+        try {
+            for (const id of ids) {
+                requireOpenEntry(id);
+                discardDeadLetter(id);
+                console.log(`Dead letter ${id} discarded`);
+            }
+        } finally {
+            unlockDeadLetters();
+        }
+    } else if (action === 'compact') {
+        lockDeadLetters();
+        try {
+            console.log(`${compactDeadLetters()} closed entries removed`);
+        } finally {
+            unlockDeadLetters();
+        }
+    } else {
+        console.log(usage);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    description: 'List, inspect, replay or discard database writes that failed',
+    run,
+};
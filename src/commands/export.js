@@ -0,0 +1,120 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { exportTransactions, exportDeposits, exportAllocations, formatCsv, formatJson } = require('../export');
+
+const usage = `Usage: node cli.js export <transactions|deposits|allocations> [options]
+
+Exports:
+  transactions            Confirmed user_transactions, with raw and decimal amounts
+  deposits                Wallet balances from user_deposits, or user_chain_deposits with --per-chain
+  allocations             Token allocation per wallet merged across chains, from the confirmed transactions
+
+Options:
+  --format csv|json       Output format, csv by default
+  --output <file>         File to write, stdout by default or with -
+  --chain <name>          Only this chain (repeatable)
+  --event <name>          Only this event, e.g. BoughtWithNative (repeatable, transactions and allocations)
+  --from <date>           Only transactions from this block time on (inclusive, transactions and allocations)
+  --to <date>             Only transactions before this block time (exclusive, transactions and allocations)
+  --wallets <file>        Only the wallets listed in this file, one address per line (a CSV's first column)
+  --per-chain             deposits: one row per wallet and chain
+  --amount claimable|purchased
+                          allocations: tokens to allocate, claimable by default
+  --decimals <n>          allocations: decimals of amount_raw, 18 by default
+  --include-flagged       allocations: keep the wallets with compliance flags, left out by default`;
+
+// Helper function to read a wallet list: one address per line, or a CSV whose first column is the address.
+// A header line and blank lines are skipped.
+function readWallets(file) {
+    const wallets = new Set();
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+        const value = line.split(',')[0].trim().replace(/^"|"$/g, '');
+        if (value === '' || (index === 0 && !value.startsWith('0x'))) return;
+        if (!ethers.utils.isAddress(value)) {
+            throw new Error(`Invalid address on line ${index + 1} of ${file}: ${value}`);
+        }
+        wallets.add(value.toLowerCase());
+    });
+    return wallets;
+}
+
+// Helper function to parse an optional date option
+function parseDate(value, name) {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`--${name} expects a date, got "${value}"`);
+    return date;
+}
+
+async function run(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'csv' },
+            output: { type: 'string' },
+            chain: { type: 'string', multiple: true },
+            event: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            wallets: { type: 'string' },
+            'per-chain': { type: 'boolean', default: false },
+            amount: { type: 'string', default: 'claimable' },
+            decimals: { type: 'string', default: '18' },
+            'include-flagged': { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    const [kind] = positionals;
+
+    if (values.help || positionals.length !== 1 || !['transactions', 'deposits', 'allocations'].includes(kind)) {
+        console.log(usage);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (!['csv', 'json'].includes(values.format)) throw new Error(`--format expects csv or json, got "${values.format}"`);
+    if (!['claimable', 'purchased'].includes(values.amount)) throw new Error(`--amount expects claimable or purchased, got "${values.amount}"`);
+    const decimals = Number(values.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) throw new Error(`--decimals expects 0 to 18, got "${values.decimals}"`);
+    if (kind === 'deposits' && (values.event || values.from || values.to)) {
+        throw new Error('--event, --from and --to only apply to transactions and allocations, deposits are current balances');
+    }
+
+    const filters = {
+        chains: values.chain,
+        events: values.event,
+        wallets: values.wallets ? readWallets(values.wallets) : undefined,
+        from: parseDate(values.from, 'from'),
+        to: parseDate(values.to, 'to'),
+    };
+
+    let result;
+    if (kind === 'transactions') {
+        result = await exportTransactions(filters);
+    } else if (kind === 'deposits') {
+        // Per-chain rows are the only ones a chain filter applies to
+        result = await exportDeposits(filters, values['per-chain'] || Boolean(values.chain));
+    } else {
+        result = await exportAllocations(filters, { amountField: values.amount, decimals, includeFlagged: values['include-flagged'] });
+    }
+
+    const content = values.format === 'json' ? formatJson(result) : formatCsv(result);
+    const output = values.output === '-' ? undefined : values.output;
+    if (output) {
+        fs.writeFileSync(output, content);
+    } else {
+        process.stdout.write(content);
+    }
+
+    // The summary goes to stderr so that stdout only holds the export
+    let summary = `${result.rows.length} rows exported${output ? ` to ${output}` : ''}`;
+    if (result.total !== undefined) summary += `, ${result.total} tokens allocated`;
+    if (result.excluded > 0) summary += `, ${result.excluded} flagged wallets left out (see --include-flagged)`;
+    console.error(summary);
+}
+
+module.exports = {
+    description: 'Export transactions, balances or a cross-chain token allocation as CSV or JSON',
+    run,
+};
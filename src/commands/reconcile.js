@@ -0,0 +1,121 @@
+const { parseArgs } = require('util');
+const { loadConfig } = require('../config');
+const { getCheckpoint } = require('../checkpoints');
+const { createChainProvider } = require('../rpc');
+const { diffDeposits, fixDeposits, checkContractLogs } = require('../reconcile');
+
+const usage = `Usage: node cli.js reconcile [options]
+
+Recomputes every wallet's balances (user_deposits, user_chain_deposits) from the confirmed user_transactions
+and prints the rows that differ.
+
+Options:
+  --fix                   Rewrite the differing rows with the recomputed balances (stop the service first)
+  --logs                  Also check user_transactions against the contract logs
+  --chain <name>          Only check the logs of this chain
+  --from-block <n>        First block to check, the contract start block by default
+  --to-block <n>          Last block to check, the saved checkpoint by default`;
+
+// Helper function to parse an optional block number option
+function parseBlock(value, name) {
+    if (value === undefined) return undefined;
+    const block = Number(value);
+    if (!Number.isInteger(block) || block < 0) throw new Error(`--${name} expects a block number, got "${value}"`);
+    return block;
+}
+
+// Helper function to check the stored transactions of every configured contract against its logs.
+// Returns the number of discrepancies found.
+async function checkLogs(values) {
+    const config = loadConfig();
+    const chains = config.chains.filter((chain) => !values.chain || chain.name === values.chain);
+    if (chains.length === 0) throw new Error(`Unknown chain "${values.chain}"`);
+
+    const fromOption = parseBlock(values['from-block'], 'from-block');
+    const toOption = parseBlock(values['to-block'], 'to-block');
+    const pageSize = Number(process.env.BACKFILL_PAGE_SIZE) || 2000;
+    let discrepancies = 0;
+
+    for (const chain of chains) {
+        const provider = createChainProvider(chain);
+
+        for (const contractConfig of chain.contracts) {
+            const tag = `${chain.name}:${contractConfig.name}`;
+            const fromBlock = fromOption ?? contractConfig.startBlock;
+            const toBlock = toOption ?? await getCheckpoint(chain.name, contractConfig.address);
+
+            if (!fromBlock || toBlock === null) {
+                console.log(`[${tag}] Skipped: no ${!fromBlock ? 'start block' : 'checkpoint'}, pass --from-block and --to-block`);
+                continue;
+            }
+
+            const result = await checkContractLogs(provider, chain.name, contractConfig.address, fromBlock, toBlock, pageSize);
+            for (const event of result.missing) {
+                console.log(`[${tag}] missing\t${event.event}\tblock ${event.blockNumber}\t${event.transactionHash}\tlog ${event.logIndex}`);
+            }
+            for (const row of result.unexpected) {
+                console.log(`[${tag}] not on chain\t${row.event_name}\tblock ${row.block_number}\t${row.transaction_hash}\tlog ${row.log_index}\t${row.status}`);
+            }
+            // Legacy rows carry no contract, with several contracts on the chain they may be another contract's
+            const legacyIsDiscrepancy = chain.contracts.length === 1;
+            for (const row of result.unmatchedLegacy) {
+                console.log(`[${tag}] ${legacyIsDiscrepancy ? 'not on chain' : 'legacy row of another contract?'}\t${row.event_name}\tblock ${row.block_number}\t${row.transaction_hash}\tlog -\t${row.status}`);
+            }
+            console.log(`[${tag}] Blocks ${fromBlock}-${toBlock}: ${result.logs} logs, ${result.stored} stored (${result.legacy} legacy), ${result.missing.length} missing, ${result.unexpected.length + (legacyIsDiscrepancy ? result.unmatchedLegacy.length : 0)} not on chain`);
+            discrepancies += result.missing.length + result.unexpected.length + (legacyIsDiscrepancy ? result.unmatchedLegacy.length : 0);
+        }
+    }
+
+    if (discrepancies > 0) {
+        console.log('Missing events are ingested again by moving the checkpoint back below them and restarting the indexer.');
+    }
+    return discrepancies;
+}
+
+async function run(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            fix: { type: 'boolean', default: false },
+            logs: { type: 'boolean', default: false },
+            chain: { type: 'string' },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            help: { type: 'boolean', default: false },
+        },
+    });
+
+    if (values.help || positionals.length > 0) {
+        console.log(usage);
+        process.exitCode = positionals.length > 0 ? 1 : 0;
+        return;
+    }
+
+    const logDiscrepancies = values.logs ? await checkLogs(values) : 0;
+
+    const result = await diffDeposits();
+    const tables = [['user_deposits', result.deposits], ['user_chain_deposits', result.chainDeposits]];
+    for (const [table, { differences, checked }] of tables) {
+        for (const { stored, computed, fields } of differences) {
+            const changes = fields.map((field) => `${field} ${stored ? stored[field] : '(no row)'} -> ${computed[field]}`);
+            const key = [computed.address, computed.chain_name].filter(Boolean).join(' ');
+            console.log(`${table}\t${key}\t${changes.join('\t')}`);
+        }
+        console.log(`${table}: ${checked} rows checked, ${differences.length} differing`);
+    }
+
+    const differing = result.deposits.differences.length + result.chainDeposits.differences.length;
+    if (values.fix && differing > 0) {
+        await fixDeposits(result);
+        console.log(`${differing} rows rewritten`);
+    }
+    if ((differing > 0 && !values.fix) || logDiscrepancies > 0) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    description: 'Rebuild the deposit totals from the transactions and diff them, optionally against the chain',
+    run,
+};
@@ -0,0 +1,82 @@
+const { parseArgs } = require('util');
+const { loadConfig } = require('../config');
+const { resolveTokenDecimals } = require('../tokens');
+const { createPriceSource } = require('../prices');
+const { handleEvent } = require('../handlers');
+const { readLogRecords, decodeLogRecord } = require('../logRecords');
+
+const usage = `Usage: node cli.js replay <file> [options]
+
+Feeds recorded contract logs (NDJSON or JSON, see src/logRecords.js) through the event handlers and stores
+them in the configured storage backend (STORAGE_BACKEND). Logs are recorded by running the indexer with
+RECORD_LOGS_FILE set.
+
+Options:
+  --chain <name>                 Only replay the logs of this chain
+  --status confirmed|pending     Status the events are stored with, confirmed by default
+
+No RPC node is used: token decimals must be in the network config, and native purchases are only valued
+in USD by chains with a "table" price source (point NETWORKS_CONFIG at an offline config).`;
+
+async function run(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            chain: { type: 'string' },
+            status: { type: 'string', default: 'confirmed' },
+        },
+    });
+
+    if (positionals.length !== 1 || !['confirmed', 'pending'].includes(values.status)) {
+        console.log(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    const config = loadConfig();
+    const records = readLogRecords(positionals[0]).filter((record) => !values.chain || record.chain === values.chain);
+
+    // Decimals and price source of every chain in the recording, without a provider
+    const chains = {};
+    for (const chainName of new Set(records.map((record) => record.chain))) {
+        const chain = config.chains.find((candidate) => candidate.name === chainName);
+        if (!chain) throw new Error(`The recording contains chain "${chainName}", which is not in the network config`);
+
+        const missing = Object.keys(chain.tokens).filter((symbol) => chain.tokens[symbol].decimals === undefined);
+        if (missing.length > 0) {
+            throw new Error(`[${chainName}] Decimals of ${missing.join(', ')} must be configured to replay offline`);
+        }
+        let priceSource;
+        if (chain.priceSource?.type === 'chainlink') {
+            console.warn(`[${chainName}] Chainlink prices need an RPC node, native purchases are replayed without a USD value`);
+            priceSource = { async getPrice() { return null; } };
+        } else {
+            priceSource = createPriceSource(chain, null);
+        }
+        chains[chainName] = {
+            decimals: await resolveTokenDecimals(null, chainName, chain.tokens),
+            priceSource,
+        };
+    }
+
+    let replayed = 0;
+    let skipped = 0;
+    for (const record of records) {
+        const event = decodeLogRecord(record);
+        if (!event) {
+            skipped += 1;
+            continue;
+        }
+        const { decimals, priceSource } = chains[record.chain];
+        await handleEvent(event, record.chain, values.status, decimals, priceSource);
+        replayed += 1;
+    }
+
+    console.log(`${replayed} events replayed, ${skipped} logs skipped (not in the contract ABI)`);
+}
+
+module.exports = {
+    description: 'Feed recorded contract logs through the event handlers, without an RPC node',
+    run,
+};
@@ -0,0 +1,59 @@
+const { parseArgs } = require('util');
+const { listDeliveries, getDelivery, replayDelivery } = require('../webhooks');
+
+const usage = `Usage: node cli.js webhooks <action> [options]
+
+Actions:
+  list [--status failed|pending|delivered] [--limit 50]   List deliveries, failed ones by default
+  inspect <id>                                            Show a delivery with its payload
+  replay <id...> | --all-failed                           Queue deliveries again with fresh attempts`;
+
+async function run(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            status: { type: 'string', default: 'failed' },
+            limit: { type: 'string', default: '50' },
+            'all-failed': { type: 'boolean', default: false },
+        },
+    });
+    const [action, ...ids] = positionals;
+
+    if (action === 'list') {
+        const deliveries = await listDeliveries(values.status, Number(values.limit));
+        for (const delivery of deliveries) {
+            console.log([
+                delivery.id,
+                delivery.subscription,
+                delivery.status,
+                delivery.event_name,
+                delivery.chain_name,
+                delivery.transaction_hash,
+                `attempts=${delivery.attempts}`,
+                delivery.last_error || '',
+            ].join('\t'));
+        }
+        console.log(`${deliveries.length} ${values.status} deliveries`);
+    } else if (action === 'inspect' && ids.length === 1) {
+        const delivery = await getDelivery(ids[0]);
+        if (!delivery) throw new Error(`Delivery ${ids[0]} not found`);
+        console.log(JSON.stringify(delivery, null, 2));
+    } else if (action === 'replay' && (ids.length > 0 || values['all-failed'])) {
+        const targets = values['all-failed']
+            ? (await listDeliveries('failed', 1000)).map((delivery) => delivery.id)
+            : ids;
+        for (const id of targets) {
+            const found = await replayDelivery(id);
+            console.log(found ? `Delivery ${id} queued for replay` : `Delivery ${id} not found`);
+        }
+    } else {
+        console.log(usage);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    description: 'List, inspect and replay outbound webhook deliveries',
+    run,
+};
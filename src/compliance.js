@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { storage } = require('./storage');
+const { interpolateEnv } = require('./config');
+const { addAmounts, compareAmounts } = require('./amounts');
+const { addConfirmationCheck, flagTransaction } = require('./transactions');
+const { validateAlertChannels, createAlertSender } = require('./alerts');
+const { logger } = require('./logger');
+
+// Compliance screening of purchases. Every purchase is checked once it is confirmed and counted in the wallet
+// balances: its wallet against a denylist (sanctions lists, blocked wallets), and the wallet's totals across
+// all chains (`user_deposits`) against the per-wallet cap. Violations are stored in the `compliance_flags`
+// of the transaction and reported to the alert channels (src/alerts.js). Purchases are never rejected,
+// the contract has already accepted them. The screening runs before the purchase is announced as confirmed,
+// so its webhook payloads carry the flags. A purchase that cannot be screened is flagged `needs_review`.
+//
+// config/compliance.json (or COMPLIANCE_CONFIG) is optional, without it nothing is screened:
+//   {
+//     "denylistFile": "config/denylist.txt",    one address per line, `#` starts a comment; re-read when it changes
+//     "walletCap": { "usd": "50000", "tokens": "1000000" },
+//                                               either or both; USD counts USDT at par and native purchases at
+//                                               their USD value; a native purchase without a price cannot be
+//                                               checked against the USD cap and is flagged `needs_review`
+//     "alerts": [{ "type": "log" }]
+//   }
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'compliance.json');
+
+const PURCHASE_TYPES = ['native', 'usdt'];
+
+// Function to load the compliance config, or null when there is none
+function loadComplianceConfig(configPath = process.env.COMPLIANCE_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) return null;
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read compliance config ${configPath}: ${err.message}`);
+    }
+
+    const errors = [];
+    const config = interpolateEnv(raw, 'compliance', errors);
+
+    if (config.denylistFile !== undefined && (typeof config.denylistFile !== 'string' || config.denylistFile === '')) {
+        errors.push('compliance.denylistFile: expected a file path');
+    }
+    const walletCap = config.walletCap || {};
+    for (const unit of ['usd', 'tokens']) {
+        const value = walletCap[unit];
+        if (value === undefined || value === '') continue;
+        if (!/^\d+(\.\d+)?$/.test(String(value))) {
+            errors.push(`compliance.walletCap.${unit}: expected a positive amount, got ${JSON.stringify(value)}`);
+        }
+    }
+    validateAlertChannels(config.alerts || [], 'compliance.alerts', errors);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid compliance config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return {
+        denylistFile: config.denylistFile ? path.resolve(__dirname, '..', config.denylistFile) : null,
+        walletCap: {
+            usd: walletCap.usd === undefined || walletCap.usd === '' ? null : String(walletCap.usd),
+            tokens: walletCap.tokens === undefined || walletCap.tokens === '' ? null : String(walletCap.tokens),
+        },
+        alerts: config.alerts || [{ type: 'log' }],
+    };
+}
+
+// Helper function to read a denylist file into a Set of lowercase addresses
+function readDenylist(file) {
+    const addresses = new Set();
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+        const value = line.replace(/#.*/, '').trim();
+        if (value === '') return;
+        if (!ethers.utils.isAddress(value)) {
+            logger.warn('Skipping invalid denylist address', { file, line: index + 1 });
+            return;
+        }
+        addresses.add(value.toLowerCase());
+    });
+    return addresses;
+}
+
+// Function to create the denylist lookup, which reloads the file when it was modified.
+// A missing or unreadable file keeps the last list that was read.
+function createDenylist(file) {
+    let addresses = new Set();
+    let loadedAt = null;
+
+    return function isDenylisted(address) {
+        try {
+            const modifiedAt = fs.statSync(file).mtimeMs;
+            if (modifiedAt !== loadedAt) {
+                addresses = readDenylist(file);
+                loadedAt = modifiedAt;
+                logger.info('Denylist loaded', { file, addresses: addresses.size });
+            }
+        } catch (err) {
+            logger.error('Error reading the denylist', { file, err });
+        }
+        return addresses.has(address);
+    };
+}
+
+// Helper function to check a confirmed purchase. Returns the violated rules with their details.
+async function findViolations(config, isDenylisted, row) {
+    const violations = [];
+
+    if (isDenylisted && isDenylisted(row.address)) {
+        violations.push({ flag: 'denylisted' });
+    }
+
+    if (config.walletCap.usd || config.walletCap.tokens) {
+        // The totals already include this purchase
+        const totals = await storage.getDeposit(row.address);
+        const totalUsd = addAmounts(totals?.total_native_deposit_usd, totals?.total_usdt_deposit);
+        const totalTokens = addAmounts(totals?.total_token_amount);
+
+        if (config.walletCap.usd && row.payment_type === 'native' && row.deposit_amount_usd == null) {
+            violations.push({ flag: 'needs_review', reason: 'native purchase without a USD price' });
+        }
+        if (config.walletCap.usd && compareAmounts(totalUsd, config.walletCap.usd) > 0) {
+            violations.push({ flag: 'usd_cap_exceeded', total: totalUsd, cap: config.walletCap.usd });
+        }
+        if (config.walletCap.tokens && compareAmounts(totalTokens, config.walletCap.tokens) > 0) {
+            violations.push({ flag: 'token_cap_exceeded', total: totalTokens, cap: config.walletCap.tokens });
+        }
+    }
+
+    return violations;
+}
+
+// Function to screen the purchases confirmed from now on, before they are announced. Does nothing without a compliance config.
+function startComplianceScreening() {
+    const config = loadComplianceConfig();
+    if (!config) {
+        logger.info('No compliance config, purchases are not screened');
+        return;
+    }
+
+    const isDenylisted = config.denylistFile ? createDenylist(config.denylistFile) : null;
+    const sendAlert = createAlertSender(config.alerts);
+
+    addConfirmationCheck(async (row) => {
+        if (!PURCHASE_TYPES.includes(row.payment_type)) return;
+
+        let violations;
+        try {
+            violations = await findViolations(config, isDenylisted, row);
+        } catch (err) {
+            logger.error('Error screening purchase', { txHash: row.transaction_hash, err });
+            violations = [{ flag: 'needs_review', reason: `screening failed: ${err.message}` }];
+        }
+        if (violations.length === 0) return;
+
+        const flags = violations.map((violation) => violation.flag);
+        row.compliance_flags = flags;
+        await flagTransaction(row.id, flags);
+        logger.warn('Purchase flagged', { address: row.address, flags });
+
+        // The purchase is announced without waiting for the alert channels
+        sendAlert({
+            type: 'compliance',
+            text: `Purchase by ${row.address} on ${row.chain_name} flagged: ${flags.join(', ')}`,
+            flags,
+            violations,
+            chain: row.chain_name,
+            address: row.address,
+            event: row.event_name,
+            transactionHash: row.transaction_hash,
+            logIndex: row.log_index,
+            blockNumber: row.block_number,
+            depositAmount: row.deposit_amount,
+            paymentType: row.payment_type,
+            tokenAmount: row.token_amount,
+        }).catch((err) => logger.error('Error sending compliance alert', { txHash: row.transaction_hash, err }));
+    });
+
+    logger.info('Compliance screening started', {
+        denylist: Boolean(config.denylistFile),
+        walletCap: config.walletCap,
+        alerts: config.alerts.map((channel) => channel.type),
+    });
+}
+
+module.exports = { loadComplianceConfig, startComplianceScreening };
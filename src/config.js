@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Path of the network registry, relative to the project root
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'networks.json');
+
+// Helper function to replace `${VAR}` and `${VAR:-default}` in config strings with environment values.
+// Unset variables without a default are reported so a missing .env entry fails loudly.
+function interpolateEnv(value, location, errors) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (process.env[name] !== undefined && process.env[name] !== '') return process.env[name];
+            if (fallback !== undefined) return fallback;
+            errors.push(`${location}: environment variable ${name} is not set`);
+            return '';
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateEnv(item, `${location}[${index}]`, errors));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, `${location}.${key}`, errors)]));
+    }
+    return value;
+}
+
+// Helper function to read an optional non-negative integer, numbers may be given as strings after interpolation
+function readInteger(value, location, errors, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        errors.push(`${location}: expected a non-negative integer, got ${JSON.stringify(value)}`);
+        return fallback;
+    }
+    return number;
+}
+
+// Helper function to read an optional boolean, `true` and `false` may be given as strings after interpolation
+function readBoolean(value, location, errors, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    errors.push(`${location}: expected true or false, got ${JSON.stringify(value)}`);
+    return fallback;
+}
+
+function validateTokens(tokens, location, errors) {
+    const result = {};
+    for (const symbol of ['native', 'usdt', 'token']) {
+        const token = tokens?.[symbol] || {};
+        if (token.address && !ethers.utils.isAddress(token.address)) {
+            errors.push(`${location}.${symbol}.address: invalid address ${JSON.stringify(token.address)}`);
+        }
+        const decimals = readInteger(token.decimals, `${location}.${symbol}.decimals`, errors, undefined);
+        // Amounts are added up at 18 decimals, see src/amounts.js
+        if (decimals > 18) {
+            errors.push(`${location}.${symbol}.decimals: at most 18 decimals are supported, got ${decimals}`);
+        }
+        if (decimals === undefined && symbol !== 'native' && !token.address) {
+            errors.push(`${location}.${symbol}: either decimals or address is required`);
+        }
+        result[symbol] = {
+            symbol: token.symbol || symbol.toUpperCase(),
+            address: token.address || null,
+            decimals: symbol === 'native' && decimals === undefined ? 18 : decimals,
+        };
+    }
+    return result;
+}
+
+function validatePriceSource(priceSource, location, errors) {
+    if (priceSource === undefined || priceSource === null) return null;
+
+    if (priceSource.type === 'chainlink') {
+        // An empty address, e.g. an unset `${VAR:-}`, leaves the chain without a price source
+        if (priceSource.address === '') return null;
+        if (!ethers.utils.isAddress(priceSource.address || '')) {
+            errors.push(`${location}.address: invalid aggregator address ${JSON.stringify(priceSource.address)}`);
+        }
+        return { type: 'chainlink', address: priceSource.address };
+    }
+    if (priceSource.type === 'table') {
+        if (typeof priceSource.file !== 'string' || priceSource.file === '') {
+            errors.push(`${location}.file: a price table file is required`);
+        }
+        return { type: 'table', file: priceSource.file };
+    }
+    errors.push(`${location}.type: expected "chainlink" or "table", got ${JSON.stringify(priceSource.type)}`);
+    return null;
+}
+
+function validateContract(contract, location, errors) {
+    if (!contract || typeof contract !== 'object') {
+        errors.push(`${location}: expected an object`);
+        return null;
+    }
+    if (typeof contract.name !== 'string' || contract.name === '') {
+        errors.push(`${location}.name: a name is required`);
+    }
+    if (!ethers.utils.isAddress(contract.address || '')) {
+        errors.push(`${location}.address: invalid address ${JSON.stringify(contract.address)}`);
+    }
+    return {
+        name: contract.name,
+        address: contract.address,
+        startBlock: readInteger(contract.startBlock, `${location}.startBlock`, errors, null),
+    };
+}
+
+function validateChain(chain, location, errors) {
+    if (!chain || typeof chain !== 'object') {
+        errors.push(`${location}: expected an object`);
+        return null;
+    }
+    if (typeof chain.name !== 'string' || chain.name === '') {
+        errors.push(`${location}.name: a name is required`);
+    }
+
+    // Empty entries are dropped, so optional endpoints can be listed as `${VAR:-}`
+    const rpcUrls = Array.isArray(chain.rpcUrls) ? chain.rpcUrls.filter((url) => url) : [];
+    if (rpcUrls.length === 0) {
+        errors.push(`${location}.rpcUrls: at least one RPC endpoint is required`);
+    }
+    rpcUrls.forEach((url, index) => {
+        if (!/^https?:\/\//.test(url)) errors.push(`${location}.rpcUrls[${index}]: expected an http(s) URL`);
+    });
+
+    const wsUrls = Array.isArray(chain.wsUrls) ? chain.wsUrls.filter((url) => url) : [];
+    wsUrls.forEach((url, index) => {
+        if (!/^wss?:\/\//.test(url)) errors.push(`${location}.wsUrls[${index}]: expected a ws(s) URL`);
+    });
+
+    const contracts = Array.isArray(chain.contracts) ? chain.contracts : [];
+    if (contracts.length === 0) {
+        errors.push(`${location}.contracts: at least one contract is required`);
+    }
+    const validContracts = contracts.map((contract, index) => validateContract(contract, `${location}.contracts[${index}]`, errors));
+
+    const names = validContracts.filter(Boolean).map((contract) => contract.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        errors.push(`${location}.contracts: duplicate contract name ${JSON.stringify(duplicate)}`);
+    }
+
+    return {
+        name: chain.name,
+        rpcUrls,
+        wsUrls,
+        confirmations: readInteger(chain.confirmations, `${location}.confirmations`, errors, 0),
+        tokens: validateTokens(chain.tokens, `${location}.tokens`, errors),
+        priceSource: validatePriceSource(chain.priceSource, `${location}.priceSource`, errors),
+        enrichTransactions: readBoolean(chain.enrichTransactions, `${location}.enrichTransactions`, errors, false),
+        contracts: validContracts,
+    };
+}
+
+// Function to load and validate the network registry. Every problem found is reported in a single error.
+function loadConfig(configPath = process.env.NETWORKS_CONFIG || DEFAULT_CONFIG_PATH) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read network config ${configPath}: ${err.message}`);
+    }
+
+    const errors = [];
+    const config = interpolateEnv(raw, 'config', errors);
+
+    const chains = Array.isArray(config.chains) ? config.chains : [];
+    if (chains.length === 0) {
+        errors.push('config.chains: at least one chain is required');
+    }
+    const validChains = chains.map((chain, index) => validateChain(chain, `config.chains[${index}]`, errors));
+
+    const names = validChains.filter(Boolean).map((chain) => chain.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        errors.push(`config.chains: duplicate chain name ${JSON.stringify(duplicate)}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid network config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { chains: validChains };
+}
+
+module.exports = { loadConfig, interpolateEnv };
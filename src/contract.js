@@ -0,0 +1,12 @@
+const { eventDefinitions, TRANSACTIONS_TABLE } = require('./events');
+
+// Contract ABI - the events declared in config/events.json, see src/events.js.
+// Shared by the indexer and the maintenance commands that read the contract logs.
+const contractABI = eventDefinitions.map((definition) => definition.signature);
+
+// The events stored in `user_transactions`, the ones counted in the wallet balances
+const transactionABI = eventDefinitions
+    .filter((definition) => definition.table === TRANSACTIONS_TABLE)
+    .map((definition) => definition.signature);
+
+module.exports = { contractABI, transactionABI };
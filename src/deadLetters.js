@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger, serializeError, withLogContext, getLogContext } = require('./logger');
+const { acquireFileLock, releaseFileLock } = require('./fileLock');
+
+// Durable queue of database writes that failed after every retry, e.g. during a Supabase outage.
+// Entries are appended to an NDJSON file and fsynced before the write is given up on, together with
+// the full decoded event. Later lines record what happened to an entry (failed retry, resolved, discarded),
+// so the file is only ever appended to and the current state is rebuilt by reading it from the top.
+// Entries are only replayed by the process holding the queue's lock file (src/fileLock.js): a replayed
+// deposit is added to the balances again, so the CLI and the service's retrier must not both replay it.
+
+const DEAD_LETTER_FILE = process.env.DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'dead-letters.ndjson');
+const RETRY_INTERVAL_MS = Number(process.env.DEAD_LETTER_RETRY_INTERVAL_MS) || 60000;
+
+function appendRecord(record) {
+    fs.mkdirSync(path.dirname(DEAD_LETTER_FILE), { recursive: true });
+    const fd = fs.openSync(DEAD_LETTER_FILE, 'a');
+    try {
+        fs.writeSync(fd, `${JSON.stringify(record)}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Helper function to store a failed write. `type` tells the replayer which write to run again.
+// The log context (correlation ID, chain, transaction, ...) is kept so the replay logs under it too.
+function addDeadLetter(type, payload, error) {
+    const id = crypto.randomUUID();
+    const context = getLogContext();
+    appendRecord({ op: 'add', id, type, createdAt: new Date().toISOString(), error: serializeError(error), context, payload });
+    logger.error('Write dead-lettered', { deadLetterId: id, type, err: error });
+    return id;
+}
+
+// Function to rebuild the state of every entry from the file. A line cut short by a crash is skipped.
+function readDeadLetters() {
+    if (!fs.existsSync(DEAD_LETTER_FILE)) return [];
+
+    const entries = new Map();
+    const lines = fs.readFileSync(DEAD_LETTER_FILE, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            logger.warn('Skipping unreadable dead letter line', { line: index + 1, err });
+            return;
+        }
+
+        if (record.op === 'add') {
+            entries.set(record.id, {
+                id: record.id,
+                type: record.type,
+                createdAt: record.createdAt,
+                status: 'open',
+                attempts: record.attempts || 0,
+                lastError: record.error,
+                context: record.context || {},
+                payload: record.payload,
+            });
+            return;
+        }
+
+        const entry = entries.get(record.id);
+        if (!entry) return;
+        if (record.op === 'fail') {
+            entry.attempts += 1;
+            entry.lastError = record.error;
+        } else if (record.op === 'resolve') {
+            entry.attempts += 1;
+            entry.status = 'resolved';
+        } else if (record.op === 'discard') {
+            entry.status = 'discarded';
+        }
+    });
+
+    return [...entries.values()];
+}
+
+// Helper function to list entries by status ('open', 'resolved', 'discarded' or 'all'), oldest first
+function listDeadLetters(status = 'open') {
+    return readDeadLetters().filter((entry) => status === 'all' || entry.status === status);
+}
+
+function getDeadLetter(id) {
+    return readDeadLetters().find((entry) => entry.id === id) || null;
+}
+
+function discardDeadLetter(id) {
+    appendRecord({ op: 'discard', id, at: new Date().toISOString() });
+}
+
+// Function to run one open entry through `replay` and record the outcome. Returns true when it succeeded.
+async function replayDeadLetterEntry(entry, replay) {
+    return withLogContext({ ...entry.context, deadLetterId: entry.id }, async () => {
+        try {
+            await replay(entry);
+            appendRecord({ op: 'resolve', id: entry.id, at: new Date().toISOString() });
+            logger.info('Dead letter replayed', { type: entry.type });
+            return true;
+        } catch (err) {
+            appendRecord({ op: 'fail', id: entry.id, at: new Date().toISOString(), error: serializeError(err) });
+            logger.error('Dead letter replay failed', { type: entry.type, err });
+            return false;
+        }
+    });
+}
+
+// Function to replay the open entries in the order they failed. The pass stops at the first failure,
+// which usually means the database is still unavailable.
+async function drainDeadLetters(replay) {
+    let resolved = 0;
+    for (const entry of listDeadLetters('open')) {
+        if (!(await replayDeadLetterEntry(entry, replay))) break;
+        resolved += 1;
+    }
+    return resolved;
+}
+
+// Function to rewrite the file with only the open entries. Run it while the service is stopped,
+// a record appended by a running instance during the rewrite would be lost.
+function compactDeadLetters() {
+    const entries = readDeadLetters();
+    const open = entries.filter((entry) => entry.status === 'open');
+    const content = open.map((entry) => JSON.stringify({
+        op: 'add',
+        id: entry.id,
+        type: entry.type,
+        createdAt: entry.createdAt,
+        attempts: entry.attempts,
+        error: entry.lastError,
+        context: entry.context,
+        payload: entry.payload,
+    })).join('\n');
+
+    fs.mkdirSync(path.dirname(DEAD_LETTER_FILE), { recursive: true });
+    const tempFile = `${DEAD_LETTER_FILE}.tmp`;
+    fs.writeFileSync(tempFile, content ? `${content}\n` : '');
+    fs.renameSync(tempFile, DEAD_LETTER_FILE);
+    return entries.length - open.length;
+}
+
+// Function to take the queue's lock before replaying or rewriting it. Throws when another process holds it.
+function lockDeadLetters() {
+    const lock = acquireFileLock(DEAD_LETTER_FILE);
+    if (!lock.acquired) {
+        throw new Error(`The dead-letter queue is in use by process ${lock.pid} (the running indexer retries it), stop it first`);
+    }
+}
+
+function unlockDeadLetters() {
+    releaseFileLock(DEAD_LETTER_FILE);
+}
+
+// Function to start the background retrier that drains the queue every RETRY_INTERVAL_MS. It holds the
+// queue's lock for as long as it runs, and waits for it while another process (e.g. a CLI replay) has it.
+// Returns a function that stops it.
+function startDeadLetterRetrier(replay) {
+    let draining = false;
+    let waitingForLock = false;
+
+    function lock() {
+        const { acquired, pid } = acquireFileLock(DEAD_LETTER_FILE);
+        if (!acquired && !waitingForLock) logger.warn('Dead-letter queue is locked by another process, not retrying it', { pid });
+        waitingForLock = !acquired;
+        return acquired;
+    }
+    lock();
+
+    const timer = setInterval(async () => {
+        if (draining || !lock()) return;
+        draining = true;
+        try {
+            await drainDeadLetters(replay);
+        } catch (err) {
+            logger.error('Error draining dead letters', { err });
+        } finally {
+            draining = false;
+        }
+    }, RETRY_INTERVAL_MS);
+    return () => {
+        clearInterval(timer);
+        releaseFileLock(DEAD_LETTER_FILE);
+    };
+}
+
+module.exports = {
+    DEAD_LETTER_FILE,
+    addDeadLetter,
+    listDeadLetters,
+    getDeadLetter,
+    discardDeadLetter,
+    replayDeadLetterEntry,
+    drainDeadLetters,
+    compactDeadLetters,
+    lockDeadLetters,
+    unlockDeadLetters,
+    startDeadLetterRetrier,
+};
@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+const { storage } = require('./storage');
+const { normalizeAmount } = require('./amounts');
+const { logger } = require('./logger');
+
+// Receipt enrichment of `user_transactions`, enabled per chain with `"enrichTransactions": true` in the network
+// config. Events only tell what the contract logged; the transaction and its receipt tell who sent it and paid
+// the gas (`tx_from`, which differs from the buyer when a relayer sent it), the contract it was sent to
+// (`tx_to`, the presale or a router), the native value, the gas used, the effective gas price, the fee and
+// whether it succeeded. USDT purchases also get the ERC-20 Transfer that paid for them (`payment_transfer`).
+// The contract that emitted the event is the row's `contract_address`.
+//
+// Rows are enriched in the background by the chain's leader, oldest first, including the rows stored before
+// enrichment was enabled. A row keeps `enriched_at` null until its receipt could be read. A transaction that is
+// not found or cannot be read is tried again with an exponential backoff (`enrich_next_attempt_at`), and given up
+// on (`enrich_failed_at`) after ENRICH_MAX_ATTEMPTS, so it never holds up the rows after it.
+
+const ENRICH_INTERVAL_MS = Number(process.env.ENRICH_INTERVAL_MS) || 15000;
+const ENRICH_BATCH_SIZE = Number(process.env.ENRICH_BATCH_SIZE) || 50;
+const ENRICH_MAX_ATTEMPTS = Number(process.env.ENRICH_MAX_ATTEMPTS) || 10;
+const ENRICH_RETRY_BASE_MS = Number(process.env.ENRICH_RETRY_BASE_MS) || 60000;
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// Helper function to read an address from an indexed event topic
+function topicAddress(topic) {
+    return ethers.utils.hexDataSlice(topic, 12).toLowerCase();
+}
+
+// Helper function to find the ERC-20 Transfer that paid for a USDT purchase among the receipt logs.
+// Transfers of the configured USDT token (or of any token when it has no address) of the purchased amount
+// are preferred, then the closest one logged before the purchase event.
+function findPaymentTransfer(receipt, row, usdt, decimals) {
+    const transfers = receipt.logs
+        .filter((log) => log.topics.length === 3 && log.topics[0] === TRANSFER_TOPIC)
+        .filter((log) => !usdt.address || log.address.toLowerCase() === usdt.address.toLowerCase())
+        .map((log) => ({
+            token: log.address.toLowerCase(),
+            from: topicAddress(log.topics[1]),
+            to: topicAddress(log.topics[2]),
+            amountRaw: ethers.BigNumber.from(log.data).toString(),
+            logIndex: log.logIndex,
+        }));
+    if (transfers.length === 0) return null;
+
+    const rank = (transfer) => [
+        transfer.amountRaw === String(row.deposit_amount_raw) ? 0 : 1,
+        transfer.logIndex < row.log_index ? row.log_index - transfer.logIndex : receipt.logs.length + transfer.logIndex,
+    ];
+    const [transfer] = transfers.sort((a, b) => {
+        const [rankA, rankB] = [rank(a), rank(b)];
+        return rankA[0] - rankB[0] || rankA[1] - rankB[1];
+    });
+    return {
+        token: transfer.token,
+        from: transfer.from,
+        to: transfer.to,
+        amount: normalizeAmount(transfer.amountRaw, decimals.usdt),
+        amountRaw: transfer.amountRaw,
+        logIndex: transfer.logIndex,
+    };
+}
+
+// Function to read the enrichment of the rows of one transaction from its transaction and receipt.
+// Returns the fields to store per row id, or null when the node does not know the transaction yet.
+async function fetchEnrichment(provider, chain, decimals, transactionHash, rows) {
+    const [transaction, receipt] = await Promise.all([
+        provider.getTransaction(transactionHash),
+        provider.getTransactionReceipt(transactionHash),
+    ]);
+    if (!transaction || !receipt) return null;
+
+    // Nodes of chains without EIP-1559 may leave out the effective gas price, which is then the gas price
+    const gasPrice = receipt.effectiveGasPrice || transaction.gasPrice;
+    const fields = {
+        tx_from: receipt.from.toLowerCase(),
+        tx_to: receipt.to ? receipt.to.toLowerCase() : null,
+        tx_value: normalizeAmount(transaction.value, decimals.native),
+        tx_status: receipt.status === 0 ? 'reverted' : 'success',
+        gas_used: receipt.gasUsed.toString(),
+        effective_gas_price: gasPrice.toString(),
+        tx_fee: normalizeAmount(receipt.gasUsed.mul(gasPrice), decimals.native),
+        enriched_at: new Date().toISOString(),
+    };
+
+    return new Map(rows.map((row) => [row.id, {
+        ...fields,
+        payment_transfer: row.payment_type === 'usdt' ? findPaymentTransfer(receipt, row, chain.tokens.usdt, decimals) : null,
+    }]));
+}
+
+// Helper function to record a failed attempt on the rows of one transaction and schedule the next one
+async function recordEnrichFailure(rows, message, log) {
+    for (const row of rows) {
+        const attempts = row.enrich_attempts + 1;
+        const failed = attempts >= ENRICH_MAX_ATTEMPTS;
+        await storage.enrichTransaction(row.id, {
+            enrich_attempts: attempts,
+            enrich_error: message,
+            enrich_next_attempt_at: failed ? null : new Date(Date.now() + ENRICH_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+            enrich_failed_at: failed ? new Date().toISOString() : null,
+        });
+        if (failed) log.error('Giving up enriching transaction', { txHash: row.transaction_hash, attempts, error: message });
+    }
+}
+
+// Function to enrich one batch of the chain's rows. Returns the number of rows enriched.
+async function enrichBatch(provider, chain, decimals, log) {
+    const rows = await storage.getUnenrichedTransactions(chain.name, ENRICH_BATCH_SIZE);
+
+    // The events of one transaction share its receipt
+    const rowsByHash = new Map();
+    for (const row of rows) {
+        if (!rowsByHash.has(row.transaction_hash)) rowsByHash.set(row.transaction_hash, []);
+        rowsByHash.get(row.transaction_hash).push(row);
+    }
+
+    let enriched = 0;
+    for (const [transactionHash, transactionRows] of rowsByHash) {
+        let updates;
+        try {
+            updates = await fetchEnrichment(provider, chain, decimals, transactionHash, transactionRows);
+        } catch (err) {
+            log.error('Error reading transaction, enriching it later', { txHash: transactionHash, err });
+            await recordEnrichFailure(transactionRows, err.message, log);
+            continue;
+        }
+        if (!updates) {
+            log.warn('Transaction not found, enriching it later', { txHash: transactionHash });
+            await recordEnrichFailure(transactionRows, 'Transaction not found', log);
+            continue;
+        }
+        for (const [id, fields] of updates) {
+            await storage.enrichTransaction(id, fields);
+            enriched++;
+        }
+    }
+    return enriched;
+}
+
+// Function to start enriching the chain's transactions every ENRICH_INTERVAL_MS, through the chain's provider.
+// `decimals` are the chain's token decimals (src/tokens.js). Returns a function that stops the enricher,
+// waiting for the batch in flight.
+function startTransactionEnricher(provider, chain, decimals) {
+    const log = logger.child({ chain: chain.name });
+    let stopped = false;
+    let timer = null;
+    let current = Promise.resolve();
+
+    async function run() {
+        try {
+            let enriched;
+            do {
+                enriched = await enrichBatch(provider, chain, decimals, log);
+                if (enriched > 0) log.info('Transactions enriched', { rows: enriched });
+            } while (enriched === ENRICH_BATCH_SIZE && !stopped);
+        } catch (err) {
+            log.error('Error enriching transactions', { err });
+        }
+    }
+
+    function schedule() {
+        current = run().finally(() => {
+            if (!stopped) timer = setTimeout(schedule, ENRICH_INTERVAL_MS);
+        });
+    }
+    schedule();
+    log.info('Transaction enricher started', { intervalMs: ENRICH_INTERVAL_MS });
+
+    return async function stopTransactionEnricher() {
+        stopped = true;
+        clearTimeout(timer);
+        await current;
+    };
+}
+
+module.exports = { startTransactionEnricher };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { normalizeAmount, multiplyAmounts } = require('./amounts');
+
+// Declarative mapping of contract events to table rows, loaded from config/events.json (or EVENTS_CONFIG).
+// Each event gives its ABI signature, the table its rows go to, and one entry per column:
+//   { "arg": "amount" }                                      the argument as is (integers as decimal strings)
+//   { "arg": "user", "convert": "address" }                  a lowercased address
+//   { "arg": "amount", "convert": "decimals", "decimals": "token" }
+//                                                            a decimal-normalized amount; `decimals` is a number or
+//                                                            "native", "usdt" or "token" for the chain's token decimals
+//   { "arg": "timestamp", "convert": "timestamp" }           a unix timestamp in seconds, as a date
+//   { "arg": "amount", "convert": "usd", "decimals": "native" }
+//                                                            the amount valued at the native USD price of the block
+//   { "convert": "usdPrice" }                                the native USD price of the block
+//   { "value": "native" }                                    a constant
+//
+// Rows of `user_transactions` go through the transaction pipeline (confirmations, wallet balances, webhooks)
+// and may only use its columns. Rows of any other table are stored as they are, together with chain_name,
+// contract_address, event_name, transaction_hash, log_index, block_number, block_hash and status;
+// on Supabase such a table needs those columns and a unique index on (chain_name, transaction_hash, log_index).
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'events.json');
+
+const TRANSACTIONS_TABLE = 'user_transactions';
+const TRANSACTION_COLUMNS = [
+    'address',
+    'payment_type',
+    'deposit_amount',
+    'deposit_amount_raw',
+    'deposit_amount_usd',
+    'native_usd_price',
+    'token_amount',
+    'token_amount_raw',
+    'block_timestamp',
+];
+const REQUIRED_TRANSACTION_COLUMNS = ['address', 'payment_type', 'token_amount', 'block_timestamp'];
+
+const CONVERSIONS = ['address', 'decimals', 'timestamp', 'usd', 'usdPrice'];
+const TOKEN_DECIMALS = ['native', 'usdt', 'token'];
+
+function validateColumn(column, mapping, fragment, location, errors) {
+    if (!mapping || typeof mapping !== 'object') {
+        errors.push(`${location}: expected an object`);
+        return;
+    }
+    if ('value' in mapping) return;
+
+    if (mapping.convert !== undefined && !CONVERSIONS.includes(mapping.convert)) {
+        errors.push(`${location}.convert: expected one of ${CONVERSIONS.join(', ')}, got ${JSON.stringify(mapping.convert)}`);
+    }
+    if (mapping.convert !== 'usdPrice' && !fragment.inputs.some((input) => input.name === mapping.arg)) {
+        errors.push(`${location}.arg: ${fragment.name} has no argument ${JSON.stringify(mapping.arg)}`);
+    }
+    if (['decimals', 'usd'].includes(mapping.convert)
+        && !TOKEN_DECIMALS.includes(mapping.decimals)
+        && !Number.isInteger(mapping.decimals)) {
+        errors.push(`${location}.decimals: expected a number or one of ${TOKEN_DECIMALS.join(', ')}`);
+    }
+}
+
+function validateEvent(definition, location, errors) {
+    if (!definition || typeof definition !== 'object') {
+        errors.push(`${location}: expected an object`);
+        return null;
+    }
+
+    let fragment;
+    try {
+        fragment = ethers.utils.Fragment.from(definition.signature);
+    } catch (err) {
+        fragment = null;
+    }
+    if (!fragment || fragment.type !== 'event') {
+        errors.push(`${location}.signature: invalid event signature ${JSON.stringify(definition.signature)}`);
+        return null;
+    }
+
+    if (typeof definition.table !== 'string' || !/^[a-z_][a-z0-9_]*$/.test(definition.table)) {
+        errors.push(`${location}.table: expected a table name, got ${JSON.stringify(definition.table)}`);
+    }
+
+    const columns = definition.columns && typeof definition.columns === 'object' ? definition.columns : {};
+    for (const [column, mapping] of Object.entries(columns)) {
+        validateColumn(column, mapping, fragment, `${location}.columns.${column}`, errors);
+        if (definition.table === TRANSACTIONS_TABLE && !TRANSACTION_COLUMNS.includes(column)) {
+            errors.push(`${location}.columns.${column}: not a column of ${TRANSACTIONS_TABLE}`);
+        }
+    }
+    if (definition.table === TRANSACTIONS_TABLE) {
+        for (const column of REQUIRED_TRANSACTION_COLUMNS.filter((required) => !(required in columns))) {
+            errors.push(`${location}.columns.${column}: required for ${TRANSACTIONS_TABLE}`);
+        }
+    }
+
+    return {
+        name: fragment.name,
+        signature: fragment.format(ethers.utils.FormatTypes.full),
+        // Decoded events carry this form in `eventSignature`
+        key: fragment.format(),
+        table: definition.table,
+        columns,
+    };
+}
+
+// Function to load and validate the event definitions. Every problem found is reported in a single error.
+function loadEventDefinitions(configPath = process.env.EVENTS_CONFIG || DEFAULT_CONFIG_PATH) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read event config ${configPath}: ${err.message}`);
+    }
+
+    const errors = [];
+    const events = Array.isArray(raw.events) ? raw.events : [];
+    if (events.length === 0) {
+        errors.push('events: at least one event is required');
+    }
+    const definitions = events.map((definition, index) => validateEvent(definition, `events[${index}]`, errors));
+
+    const keys = definitions.filter(Boolean).map((definition) => definition.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+        errors.push(`events: ${duplicate} is defined twice`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid event config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return definitions;
+}
+
+const eventDefinitions = loadEventDefinitions();
+
+// Helper function to find the definition of a decoded event, or undefined for events that are not indexed
+function findEventDefinition(event) {
+    return eventDefinitions.find((definition) => definition.key === event.eventSignature);
+}
+
+// Helper function to list the tables written to besides `user_transactions`
+function getEventTables() {
+    return [...new Set(eventDefinitions.map((definition) => definition.table))].filter((table) => table !== TRANSACTIONS_TABLE);
+}
+
+// Helper function to turn an argument into a value that can be stored as JSON
+function plainValue(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(plainValue);
+    return value;
+}
+
+// Function to build the mapped columns of a decoded event. `decimals` are the chain's token decimals and
+// `getUsdPrice(blockTimestamp)` reads the native USD price of the event block, it is only called when needed.
+async function mapEventColumns(definition, event, decimals, getUsdPrice) {
+    const values = {};
+    const entries = Object.entries(definition.columns);
+
+    // Timestamps first, so the price of the block can be looked up by time
+    const ordered = [
+        ...entries.filter(([, mapping]) => mapping.convert === 'timestamp'),
+        ...entries.filter(([, mapping]) => mapping.convert !== 'timestamp'),
+    ];
+
+    let usdPrice;
+    const readUsdPrice = async () => {
+        if (usdPrice === undefined) usdPrice = await getUsdPrice(values.block_timestamp);
+        return usdPrice;
+    };
+
+    for (const [column, mapping] of ordered) {
+        if ('value' in mapping) {
+            values[column] = mapping.value;
+            continue;
+        }
+
+        const arg = event.args[mapping.arg];
+        const unitDecimals = typeof mapping.decimals === 'number' ? mapping.decimals : decimals[mapping.decimals];
+
+        if (mapping.convert === 'address') {
+            values[column] = arg.toLowerCase();
+        } else if (mapping.convert === 'decimals') {
+            values[column] = normalizeAmount(arg, unitDecimals);
+        } else if (mapping.convert === 'timestamp') {
+            values[column] = new Date(ethers.BigNumber.from(arg).toNumber() * 1000);
+        } else if (mapping.convert === 'usd') {
+            const price = await readUsdPrice();
+            values[column] = price === null ? null : multiplyAmounts(normalizeAmount(arg, unitDecimals), price);
+        } else if (mapping.convert === 'usdPrice') {
+            values[column] = await readUsdPrice();
+        } else {
+            values[column] = plainValue(arg);
+        }
+    }
+
+    return values;
+}
+
+module.exports = {
+    TRANSACTIONS_TABLE,
+    eventDefinitions,
+    loadEventDefinitions,
+    findEventDefinition,
+    getEventTables,
+    mapEventColumns,
+};
@@ -0,0 +1,180 @@
+const { storage } = require('./storage');
+const { addAmounts, compareAmounts, toRawAmount } = require('./amounts');
+const { getConfirmedTransactions, transactionBalanceChanges, addBalanceChanges } = require('./transactions');
+
+// Exports of the indexed data for finance and token distribution, see `node cli.js export`.
+// Every export is a list of flat rows with a fixed column order, written as CSV or JSON.
+// Filters: `chains` and `events` (lists of names), `wallets` (a Set of lowercase addresses),
+// `from` and `to` (block time, inclusive and exclusive). Only confirmed transactions are exported.
+// Allocations leave out the wallets with a compliance flag (src/compliance.js) on any of their confirmed
+// transactions, unless `includeFlagged` is set; their `flags` column lists the flags of the wallet.
+
+const TRANSACTION_COLUMNS = [
+    'chain',
+    'address',
+    'event',
+    'payment_type',
+    'deposit_amount',
+    'deposit_amount_raw',
+    'deposit_amount_usd',
+    'token_amount',
+    'token_amount_raw',
+    'transaction_hash',
+    'log_index',
+    'block_number',
+    'block_timestamp',
+    'contract_address',
+    'compliance_flags',
+];
+
+const BALANCE_COLUMNS = [
+    'total_native_deposit',
+    'total_native_deposit_usd',
+    'total_usdt_deposit',
+    'total_token_amount',
+    'total_tokens_claimed',
+    'claimable_tokens',
+    'last_updated',
+];
+
+const ALLOCATION_COLUMNS = [
+    'address',
+    'amount',
+    'amount_raw',
+    'tokens_purchased',
+    'tokens_claimed',
+    'tokens_claimable',
+    'chains',
+    'flags',
+];
+
+// Helper function to read the confirmed transactions matching the filters, in block time order
+async function loadTransactions({ chains, events, wallets, from, to }) {
+    const rows = await getConfirmedTransactions({ from, to });
+    return rows
+        .filter((row) => !chains || chains.includes(row.chain_name))
+        .filter((row) => !events || events.includes(row.event_name))
+        .filter((row) => !wallets || wallets.has(row.address))
+        .sort((a, b) => {
+            return Date.parse(a.block_timestamp) - Date.parse(b.block_timestamp)
+                || a.chain_name.localeCompare(b.chain_name)
+                || a.block_number - b.block_number
+                || a.log_index - b.log_index;
+        });
+}
+
+// Function to export the confirmed transactions, with the raw and decimal amounts
+async function exportTransactions(filters) {
+    const rows = await loadTransactions(filters);
+    return {
+        columns: TRANSACTION_COLUMNS,
+        rows: rows.map((row) => ({
+            chain: row.chain_name,
+            address: row.address,
+            event: row.event_name,
+            payment_type: row.payment_type,
+            deposit_amount: row.deposit_amount,
+            deposit_amount_raw: row.deposit_amount_raw,
+            deposit_amount_usd: row.deposit_amount_usd,
+            token_amount: row.token_amount,
+            token_amount_raw: row.token_amount_raw,
+            transaction_hash: row.transaction_hash,
+            log_index: row.log_index,
+            block_number: row.block_number,
+            block_timestamp: new Date(row.block_timestamp).toISOString(),
+            contract_address: row.contract_address,
+            compliance_flags: (row.compliance_flags || []).join(';'),
+        })),
+    };
+}
+
+// Function to export the stored wallet balances, in total (`user_deposits`) or with `perChain`
+// per chain (`user_chain_deposits`). Balances have no raw amounts, they add up tokens of several chains.
+async function exportDeposits({ chains, wallets }, perChain) {
+    const rows = perChain ? await storage.listChainDeposits() : await storage.listDeposits();
+    return {
+        columns: perChain ? ['address', 'chain', ...BALANCE_COLUMNS] : ['address', ...BALANCE_COLUMNS],
+        rows: rows
+            .filter((row) => !chains || chains.includes(row.chain_name))
+            .filter((row) => !wallets || wallets.has(row.address))
+            .map(({ chain_name: chainName, ...row }) => (perChain ? { ...row, chain: chainName } : row)),
+    };
+}
+
+// Helper function to read the compliance flags of every wallet, from all of its confirmed transactions
+// whatever the export filters: a wallet flagged on a transaction outside them is still flagged
+async function loadWalletFlags() {
+    const flagsByWallet = new Map();
+    for (const row of await getConfirmedTransactions()) {
+        for (const flag of row.compliance_flags || []) {
+            if (!flagsByWallet.has(row.address)) flagsByWallet.set(row.address, new Set());
+            flagsByWallet.get(row.address).add(flag);
+        }
+    }
+    return flagsByWallet;
+}
+
+// Function to export the token allocation of every wallet, merged across chains: the tokens purchased,
+// claimed and still claimable, computed from the confirmed transactions with the same rules as the balances.
+// `amount` is the purchased or the claimable tokens (`amountField`), also given as an integer with `decimals`
+// decimals (`amount_raw`), the form a claim contract or a Merkle tree of (address, amount) takes.
+// Wallets with nothing to allocate are left out, so are the flagged wallets without `includeFlagged`
+// (counted in `excluded`).
+async function exportAllocations(filters, { amountField, decimals, includeFlagged }) {
+    const rows = await loadTransactions(filters);
+    const flagsByWallet = await loadWalletFlags();
+    const balances = new Map();
+    const chainsByWallet = new Map();
+
+    for (const row of rows) {
+        balances.set(row.address, addBalanceChanges(balances.get(row.address), transactionBalanceChanges(row)));
+        if (!chainsByWallet.has(row.address)) chainsByWallet.set(row.address, new Set());
+        chainsByWallet.get(row.address).add(row.chain_name);
+    }
+
+    const allocations = [...balances.entries()]
+        .map(([address, balance]) => {
+            const amount = amountField === 'purchased' ? balance.total_token_amount : balance.claimable_tokens;
+            return {
+                address,
+                amount,
+                amount_raw: toRawAmount(amount, decimals),
+                tokens_purchased: balance.total_token_amount,
+                tokens_claimed: balance.total_tokens_claimed,
+                tokens_claimable: balance.claimable_tokens,
+                chains: [...chainsByWallet.get(address)].sort().join(';'),
+                flags: [...(flagsByWallet.get(address) || [])].sort().join(';'),
+            };
+        })
+        .filter((allocation) => compareAmounts(allocation.amount_raw, 0) > 0)
+        .sort((a, b) => a.address.localeCompare(b.address));
+    const allocated = includeFlagged ? allocations : allocations.filter((allocation) => allocation.flags === '');
+
+    return {
+        columns: ALLOCATION_COLUMNS,
+        rows: allocated,
+        total: addAmounts(...allocated.map((allocation) => allocation.amount)),
+        excluded: allocations.length - allocated.length,
+    };
+}
+
+// Helper function to quote a CSV field when it holds a separator, a quote or a line break
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to format an export as CSV with a header line
+function formatCsv({ columns, rows }) {
+    const lines = [columns.join(','), ...rows.map((row) => columns.map((column) => csvField(row[column])).join(','))];
+    return `${lines.join('\n')}\n`;
+}
+
+// Function to format an export as a JSON list of rows, with the columns in export order
+function formatJson({ columns, rows }) {
+    const ordered = rows.map((row) => Object.fromEntries(columns.map((column) => [column, row[column] ?? null])));
+    return `${JSON.stringify(ordered, null, 2)}\n`;
+}
+
+module.exports = { exportTransactions, exportDeposits, exportAllocations, formatCsv, formatJson };
@@ -0,0 +1,320 @@
+const { addAmounts, negateAmount } = require('./amounts');
+const { storage } = require('./storage');
+const { transactionEvents, getConfirmedTransactions } = require('./transactions');
+const { logger } = require('./logger');
+
+// Live feed of the confirmed purchases and claims for public pages (a "recent buyers" ticker, a raise
+// progress bar), served as Server-Sent Events on GET /feed (src/api.js). A new subscriber first gets a
+// `snapshot` event with the running totals, then a `purchase` or `claim` event for every transaction once
+// it is confirmed, with the updated totals. The stream is public: wallet addresses are masked, and transaction
+// hashes and block numbers, which would reveal them, are left out.
+//
+// The totals are read from `user_transactions` when the first subscriber connects, then every
+// FEED_POLL_INTERVAL_MS the rows confirmed since the last read (`confirmed_at`) are counted and pushed.
+// Reading storage rather than this instance's confirmations also pushes the chains indexed by other
+// instances (src/leader.js). Each read goes back FEED_POLL_OVERLAP_MS, for rows whose confirmation was
+// committed late; the rows counted in that window are remembered so none is counted twice.
+// Confirmed rows that a reorg removes are taken back out of the totals: at once when this instance removes them
+// ('removed' on transactionEvents), and for the chains indexed by other instances when the totals are read again
+// from storage, every FEED_RELOAD_INTERVAL_MS.
+//
+// A subscriber that does not read its stream fast enough is disconnected once FEED_MAX_BUFFERED_BYTES are waiting
+// to be sent to it, rather than buffering the feed for it in memory.
+
+const FEED_TYPES = ['native', 'usdt', 'claim'];
+const HEARTBEAT_INTERVAL_MS = Number(process.env.FEED_HEARTBEAT_MS) || 15000;
+const MAX_SUBSCRIBERS = Number(process.env.FEED_MAX_SUBSCRIBERS) || 1000;
+const POLL_INTERVAL_MS = Number(process.env.FEED_POLL_INTERVAL_MS) || 2000;
+const POLL_OVERLAP_MS = Number(process.env.FEED_POLL_OVERLAP_MS) || 60000;
+const POLL_PAGE_SIZE = 500;
+const RELOAD_INTERVAL_MS = Number(process.env.FEED_RELOAD_INTERVAL_MS) || 300000;
+const MAX_BUFFERED_BYTES = Number(process.env.FEED_MAX_BUFFERED_BYTES) || 256 * 1024;
+
+// Running totals per chain, and the number of purchases of every buyer per chain
+let chainTotals = new Map();
+let buyers = new Map();
+
+const subscribers = new Set();
+// Subscribers waiting for the totals to be read hold their slot already
+let pendingSubscribers = 0;
+let totalsLoading = null;
+let totalsLoaded = false;
+let heartbeat = null;
+let poller = null;
+let reloader = null;
+let polling = false;
+
+// Rows counted that a poll can read again: id -> confirmation time, and the time the next poll reads from
+const recentRows = new Map();
+let pollFrom = 0;
+
+// Helper function to mask a wallet address for the public stream, e.g. 0x1234...abcd
+function maskAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Helper function to add a confirmed purchase or claim to the running totals (`sign` 1), or to take it
+// back out of them (`sign` -1)
+function applyToTotals(row, sign) {
+    const signed = (amount) => (sign < 0 ? negateAmount(amount) : amount);
+    if (!chainTotals.has(row.chain_name)) {
+        chainTotals.set(row.chain_name, {
+            raisedNative: '0',
+            raisedUsdt: '0',
+            raisedUsd: '0',
+            tokensSold: '0',
+            tokensClaimed: '0',
+            purchases: 0,
+            claims: 0,
+            buyers: 0,
+        });
+    }
+    const totals = chainTotals.get(row.chain_name);
+
+    if (row.payment_type === 'claim') {
+        totals.tokensClaimed = addAmounts(totals.tokensClaimed, signed(row.token_amount));
+        totals.claims += sign;
+        return;
+    }
+    if (row.payment_type === 'native') {
+        totals.raisedNative = addAmounts(totals.raisedNative, signed(row.deposit_amount));
+        totals.raisedUsd = addAmounts(totals.raisedUsd, row.deposit_amount_usd && signed(row.deposit_amount_usd));
+    } else {
+        totals.raisedUsdt = addAmounts(totals.raisedUsdt, signed(row.deposit_amount));
+        totals.raisedUsd = addAmounts(totals.raisedUsd, signed(row.deposit_amount));
+    }
+    totals.tokensSold = addAmounts(totals.tokensSold, signed(row.token_amount));
+    totals.purchases += sign;
+
+    if (!buyers.has(row.address)) buyers.set(row.address, new Map());
+    const buyerChains = buyers.get(row.address);
+    const purchases = (buyerChains.get(row.chain_name) || 0) + sign;
+    if (purchases > 0) {
+        if (!buyerChains.has(row.chain_name)) totals.buyers += 1;
+        buyerChains.set(row.chain_name, purchases);
+    } else {
+        if (buyerChains.delete(row.chain_name)) totals.buyers -= 1;
+        if (buyerChains.size === 0) buyers.delete(row.address);
+    }
+}
+
+// Helper function to summarize the totals of the given chains (all chains without a chain filter).
+// Native amounts are in each chain's own currency, so they are only given per chain.
+function summarizeTotals(chains) {
+    const included = [...chainTotals.entries()].filter(([chainName]) => !chains || chains.includes(chainName));
+    const perChain = included.map(([, totals]) => totals);
+
+    let buyerCount = 0;
+    for (const buyerChains of buyers.values()) {
+        if (!chains || chains.some((chainName) => buyerChains.has(chainName))) buyerCount++;
+    }
+
+    return {
+        chains: Object.fromEntries(included.map(([chainName, totals]) => [chainName, { ...totals }])),
+        total: {
+            raisedUsdt: addAmounts(...perChain.map((totals) => totals.raisedUsdt)),
+            raisedUsd: addAmounts(...perChain.map((totals) => totals.raisedUsd)),
+            tokensSold: addAmounts(...perChain.map((totals) => totals.tokensSold)),
+            tokensClaimed: addAmounts(...perChain.map((totals) => totals.tokensClaimed)),
+            purchases: perChain.reduce((sum, totals) => sum + totals.purchases, 0),
+            claims: perChain.reduce((sum, totals) => sum + totals.claims, 0),
+            buyers: buyerCount,
+        },
+    };
+}
+
+// Helper function to get the public form of a confirmed transaction
+function publicTransaction(row) {
+    return {
+        chain: row.chain_name,
+        event: row.event_name,
+        paymentType: row.payment_type,
+        address: maskAddress(row.address),
+        depositAmount: row.payment_type === 'claim' ? null : row.deposit_amount,
+        depositAmountUsd: row.payment_type === 'usdt' ? row.deposit_amount : row.deposit_amount_usd ?? null,
+        tokenAmount: row.token_amount,
+        blockTimestamp: row.block_timestamp,
+    };
+}
+
+// Helper function to write to a subscriber, which is disconnected when it has too much left to read
+function writeToSubscriber(subscriber, chunk) {
+    subscriber.res.write(chunk);
+    if (subscriber.res.writableLength > MAX_BUFFERED_BYTES) {
+        logger.warn('Live feed subscriber is too slow, disconnecting it', { buffered: subscriber.res.writableLength });
+        subscribers.delete(subscriber);
+        subscriber.res.destroy();
+    }
+}
+
+// Helper function to write one Server-Sent Event
+function writeEvent(subscriber, event, data) {
+    writeToSubscriber(subscriber, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper function to remember a counted row for as long as a poll can read it again
+function rememberRow(row) {
+    if (row.confirmed_at) recentRows.set(row.id, Date.parse(row.confirmed_at));
+}
+
+// Helper function to move the start of the next poll forward and forget the rows it cannot read anymore
+function advancePollFrom(time) {
+    pollFrom = time - POLL_OVERLAP_MS;
+    for (const [id, confirmedAt] of recentRows) {
+        if (confirmedAt < pollFrom) recentRows.delete(id);
+    }
+}
+
+// Helper function to tell whether a confirmed row is counted in the totals: it was read before the start of the
+// next poll, or in the window the next poll reads again and remembered
+function isCounted(row) {
+    return recentRows.has(row.id) || (Boolean(row.confirmed_at) && Date.parse(row.confirmed_at) < pollFrom);
+}
+
+// Helper function to read the running totals from the confirmed transactions, replacing the current ones.
+// The transactions confirmed while they are read are counted by the next poll.
+async function readTotals() {
+    const startedAt = Date.now();
+    const rows = await getConfirmedTransactions();
+
+    chainTotals = new Map();
+    buyers = new Map();
+    recentRows.clear();
+    for (const row of rows.filter((candidate) => FEED_TYPES.includes(candidate.payment_type))) {
+        applyToTotals(row, 1);
+        rememberRow(row);
+    }
+    advancePollFrom(startedAt);
+    return rows.length;
+}
+
+// Function to read the running totals from the confirmed transactions, once
+function loadTotals() {
+    if (!totalsLoading) {
+        totalsLoading = readTotals()
+            .then((transactions) => {
+                totalsLoaded = true;
+                logger.info('Live feed totals loaded', { transactions });
+            })
+            .catch((err) => {
+                totalsLoading = null;
+                throw err;
+            });
+    }
+    return totalsLoading;
+}
+
+// Helper function to push a confirmed transaction to the subscribers whose filters match it
+function publish(row) {
+    const transaction = publicTransaction(row);
+    const event = row.payment_type === 'claim' ? 'claim' : 'purchase';
+    const summaries = new Map();
+
+    for (const subscriber of subscribers) {
+        const { chains, events, types } = subscriber.filters;
+        if (chains && !chains.includes(row.chain_name)) continue;
+        if (events && !events.includes(row.event_name)) continue;
+        if (types && !types.includes(event)) continue;
+
+        // Subscribers with the same chain filter share the summary
+        const key = JSON.stringify(chains || null);
+        if (!summaries.has(key)) summaries.set(key, summarizeTotals(chains));
+        writeEvent(subscriber, event, { transaction, totals: summaries.get(key) });
+    }
+}
+
+// Function to count and push the transactions confirmed since the last poll
+async function pollConfirmedTransactions() {
+    const startedAt = Date.now();
+    let cursor = { confirmedAt: new Date(pollFrom).toISOString(), id: 0 };
+    let rows;
+    do {
+        rows = await storage.getTransactionsConfirmedAfter(cursor, POLL_PAGE_SIZE);
+        for (const row of rows) {
+            if (!FEED_TYPES.includes(row.payment_type) || recentRows.has(row.id)) continue;
+            rememberRow(row);
+            applyToTotals(row, 1);
+            publish(row);
+        }
+        if (rows.length > 0) cursor = { confirmedAt: rows[rows.length - 1].confirmed_at, id: rows[rows.length - 1].id };
+    } while (rows.length === POLL_PAGE_SIZE);
+    advancePollFrom(startedAt);
+}
+
+// Helper function to run a poll or a reload of the totals, one at a time
+async function runExclusive(work, errorMessage) {
+    if (!totalsLoaded || polling) return;
+    polling = true;
+    try {
+        await work();
+    } catch (err) {
+        logger.error(errorMessage, { err });
+    } finally {
+        polling = false;
+    }
+}
+
+// Helper function to take a confirmed row removed by a reorg back out of the totals, if it was counted
+function removeFromTotals(row) {
+    if (!totalsLoaded || row.status !== 'confirmed' || !FEED_TYPES.includes(row.payment_type) || !isCounted(row)) return;
+    recentRows.delete(row.id);
+    applyToTotals(row, -1);
+}
+
+// Function to start the live feed: confirmed purchases and claims are counted and pushed to the subscribers
+function startLiveFeed() {
+    // Until the totals are read nothing is counted, the read includes what was confirmed before it
+    poller = setInterval(() => {
+        runExclusive(pollConfirmedTransactions, 'Error polling confirmed transactions for the live feed');
+    }, POLL_INTERVAL_MS);
+    reloader = setInterval(() => {
+        runExclusive(readTotals, 'Error reading the live feed totals again');
+    }, RELOAD_INTERVAL_MS);
+    transactionEvents.on('removed', removeFromTotals);
+
+    // Comment lines keep idle connections open through proxies
+    heartbeat = setInterval(() => {
+        for (const subscriber of subscribers) writeToSubscriber(subscriber, ': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+}
+
+// Function to tell whether the feed has room for another subscriber
+function isFeedFull() {
+    return subscribers.size + pendingSubscribers >= MAX_SUBSCRIBERS;
+}
+
+// Function to subscribe an HTTP response to the feed. `filters` are optional lists of
+// chains, event names and types ('purchase', 'claim'). Throws when the totals cannot be read.
+// The slot is taken before the totals are read, so that isFeedFull() counts the subscribers waiting for them.
+async function subscribeToFeed(req, res, filters) {
+    pendingSubscribers += 1;
+    try {
+        await loadTotals();
+    } finally {
+        pendingSubscribers -= 1;
+    }
+    if (req.socket.destroyed) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': process.env.API_CORS_ORIGIN || '*',
+    });
+    const subscriber = { res, filters };
+    subscribers.add(subscriber);
+    req.on('close', () => subscribers.delete(subscriber));
+    writeEvent(subscriber, 'snapshot', { totals: summarizeTotals(filters.chains) });
+}
+
+// Function to end every subscription, on shutdown, so that clients reconnect to another instance
+function closeLiveFeed() {
+    clearInterval(heartbeat);
+    clearInterval(poller);
+    clearInterval(reloader);
+    transactionEvents.off('removed', removeFromTotals);
+    for (const subscriber of subscribers) subscriber.res.end();
+    subscribers.clear();
+}
+
+module.exports = { startLiveFeed, isFeedFull, subscribeToFeed, closeLiveFeed };
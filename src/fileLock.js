@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lock files that keep two processes from writing the same file, e.g. a CLI command and the running indexer.
+// The lock of `file` is `<file>.lock` and holds the pid of the process owning it. A lock left behind by a
+// process that is gone (a crash, a kill -9) is taken over. Locks are released when the process exits.
+
+// A lock file that is still empty is being written by its owner, unless it is older than this
+const EMPTY_LOCK_GRACE_MS = 5000;
+
+const heldLocks = new Set();
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: the process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+// Helper function to read the pid in a lock file. Returns null when there is no lock file.
+function readLockOwner(lockFile) {
+    try {
+        return Number(fs.readFileSync(lockFile, 'utf8').trim()) || 0;
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+function isLockStale(lockFile, owner) {
+    if (owner === 0) {
+        try {
+            return Date.now() - fs.statSync(lockFile).mtimeMs > EMPTY_LOCK_GRACE_MS;
+        } catch (err) {
+            return err.code === 'ENOENT';
+        }
+    }
+    return owner === process.pid || !isProcessAlive(owner);
+}
+
+// Function to take the lock of `file`. Returns { acquired, pid } with the pid of the process holding it.
+function acquireFileLock(file) {
+    const lockFile = `${file}.lock`;
+    if (heldLocks.has(lockFile)) return { acquired: true, pid: process.pid };
+
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+            heldLocks.add(lockFile);
+            return { acquired: true, pid: process.pid };
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        const owner = readLockOwner(lockFile);
+        if (owner !== null && !isLockStale(lockFile, owner)) return { acquired: false, pid: owner };
+        fs.rmSync(lockFile, { force: true });
+    }
+    return { acquired: false, pid: readLockOwner(lockFile) };
+}
+
+function releaseFileLock(file) {
+    const lockFile = `${file}.lock`;
+    if (heldLocks.delete(lockFile)) fs.rmSync(lockFile, { force: true });
+}
+
+process.on('exit', () => {
+    for (const lockFile of heldLocks) fs.rmSync(lockFile, { force: true });
+});
+
+module.exports = { acquireFileLock, releaseFileLock };
@@ -0,0 +1,110 @@
+const { recordEvent } = require('./metrics');
+const { logger, withEventContext } = require('./logger');
+const { TRANSACTIONS_TABLE, findEventDefinition, mapEventColumns } = require('./events');
+const { logTransactionToSupabase, logEventRow, addTransactionToDeposits, announceConfirmed } = require('./transactions');
+
+// Handler of the contract events. Every decoded event goes through handleEvent, whether it was
+// queried from an RPC node by the indexer or read from a recorded log file by `node cli.js replay`.
+// What is stored for an event comes from its definition in config/events.json, see src/events.js.
+
+// Helper function to collect the event identity and confirmation status stored with every transaction
+function eventMeta(event, status) {
+    return {
+        contractAddress: event.address,
+        blockHash: event.blockHash,
+        logIndex: event.logIndex,
+        status,
+    };
+}
+
+// Helper function to read the USD price of the native currency at the event block.
+// A missing price does not stop indexing, the purchase is stored without a USD value.
+async function getNativeUsdPrice(priceSource, event, blockTimestamp) {
+    try {
+        const price = await priceSource.getPrice(event.blockNumber, blockTimestamp);
+        if (price === null) {
+            logger.warn('No USD price for the event block');
+        }
+        return price;
+    } catch (err) {
+        logger.error('Error reading the USD price of the event block', { err });
+        return null;
+    }
+}
+
+// Helper function to store an event mapped to `user_transactions` and, once it is confirmed,
+// add it to the wallet balances
+async function storeTransaction(definition, columns, event, networkName, status) {
+    const row = await logTransactionToSupabase(
+        definition.name,
+        columns.address,
+        columns.deposit_amount ?? '0',
+        columns.token_amount,
+        columns.payment_type,
+        event?.transactionHash,
+        event?.blockNumber,
+        columns.block_timestamp,
+        networkName,
+        {
+            ...eventMeta(event, status),
+            depositAmountRaw: columns.deposit_amount_raw ?? '0',
+            tokenAmountRaw: columns.token_amount_raw,
+            depositAmountUsd: columns.deposit_amount_usd,
+            nativeUsdPrice: columns.native_usd_price,
+        }
+    );
+
+    // Replayed events are already counted, pending events are added once they are confirmed
+    if (!row || status !== 'confirmed') return;
+
+    await addTransactionToDeposits(row);
+    await announceConfirmed(row);
+}
+
+// Helper function to store an event mapped to any other table, under the same identity and status as transactions
+async function storeEventRow(definition, columns, event, networkName, status) {
+    await logEventRow(definition.table, {
+        ...columns,
+        chain_name: networkName,
+        contract_address: event.address.toLowerCase(),
+        event_name: definition.name,
+        transaction_hash: event.transactionHash,
+        log_index: event.logIndex,
+        block_number: event.blockNumber,
+        block_hash: event.blockHash,
+        status,
+    });
+}
+
+// Function to store one decoded contract event with the given confirmation status.
+// `decimals` are the chain's token decimals (src/tokens.js), `priceSource` its USD price source (src/prices.js).
+// Everything logged while the event is handled carries its correlation ID, see src/logger.js.
+async function handleEvent(event, networkName, status, decimals, priceSource) {
+    const definition = findEventDefinition(event);
+    if (!definition) return;
+
+    recordEvent(networkName, definition.name);
+
+    const context = {
+        chainName: networkName,
+        contractAddress: event.address,
+        eventName: definition.name,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+    };
+    await withEventContext(context, async () => {
+        const columns = await mapEventColumns(definition, event, decimals, (blockTimestamp) => {
+            return getNativeUsdPrice(priceSource, event, blockTimestamp);
+        });
+        logger.info('Event decoded', { status, table: definition.table, columns });
+
+        if (definition.table === TRANSACTIONS_TABLE) {
+            await storeTransaction(definition, columns, event, networkName, status);
+        } else {
+            await storeEventRow(definition, columns, event, networkName, status);
+        }
+    });
+}
+
+module.exports = { handleEvent };
@@ -0,0 +1,98 @@
+const os = require('os');
+const { storage } = require('./storage');
+const { recordLeadership } = require('./metrics');
+const { logger } = require('./logger');
+
+// Leader election between several instances of the indexer, with one lease row per job (`indexer_leases`).
+// The instance holding a lease does the job (e.g. index a chain) and renews the lease every
+// LEASE_TTL_MS / 3; a standby instance takes the lease over once it has expired.
+// A leader that cannot renew stops before its lease can expire, so two leaders only overlap while the old one
+// finishes its in-flight writes, which are idempotent.
+
+const LEASE_TTL_MS = Number(process.env.LEASE_TTL_MS) || 30000;
+const RENEW_INTERVAL_MS = Math.floor(LEASE_TTL_MS / 3);
+// A renewal that has not settled by then counts as failed: with the renewal before it, a lease call hanging
+// longer would let the lease expire while this instance still writes
+const RENEW_TIMEOUT_MS = RENEW_INTERVAL_MS;
+
+// Name of this instance in the lease rows
+const instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+// Function to compete for the lease `name`. `onAcquired()` is called when this instance becomes the leader
+// and `onLost()` when it stops being one; both are awaited before the next renewal.
+// Returns { stop() }, which stops competing, calls `onLost()` when leading and releases the lease.
+function runForLeadership(name, { onAcquired, onLost }) {
+    const log = logger.child({ lease: name, instance: instanceId });
+    let leader = false;
+    let renewedAt = 0;
+    let stopped = false;
+    let timer = null;
+    let current = Promise.resolve();
+
+    recordLeadership(name, false);
+
+    async function setLeader(value) {
+        if (value === leader) return;
+        leader = value;
+        recordLeadership(name, value);
+        if (value) {
+            log.info('Lease acquired, this instance is the leader');
+            await onAcquired();
+        } else if (stopped) {
+            log.info('Stepping down as the leader');
+            await onLost();
+        } else {
+            log.warn('Lease lost, this instance is on standby');
+            await onLost();
+        }
+    }
+
+    async function renew() {
+        let held;
+        let timeout = null;
+        try {
+            held = await Promise.race([
+                storage.acquireLease(name, instanceId, new Date(Date.now() + LEASE_TTL_MS)),
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error(`Lease renewal timed out after ${RENEW_TIMEOUT_MS}ms`)), RENEW_TIMEOUT_MS);
+                }),
+            ]);
+            if (held) renewedAt = Date.now();
+        } catch (err) {
+            log.error('Error renewing lease', { err });
+            // Keep leading only while the lease cannot have expired before the next renewal
+            held = leader && Date.now() - renewedAt < LEASE_TTL_MS - RENEW_INTERVAL_MS;
+        } finally {
+            clearTimeout(timeout);
+        }
+        if (!stopped) await setLeader(held);
+    }
+
+    function schedule() {
+        current = renew()
+            .catch((err) => log.error('Error changing leadership', { err }))
+            .finally(() => {
+                if (!stopped) timer = setTimeout(schedule, RENEW_INTERVAL_MS);
+            });
+    }
+    schedule();
+
+    return {
+        async stop() {
+            stopped = true;
+            clearTimeout(timer);
+            await current;
+            await setLeader(false);
+
+            // Released even when not leading, a renewal may have succeeded while stopping
+            try {
+                await storage.releaseLease(name, instanceId);
+                log.info('Lease released');
+            } catch (err) {
+                log.error('Error releasing lease, it expires on its own', { err });
+            }
+        },
+    };
+}
+
+module.exports = { instanceId, runForLeadership };
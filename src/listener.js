@@ -0,0 +1,173 @@
+const { ethers } = require('ethers');
+const { getCheckpoint, saveCheckpoint } = require('./checkpoints');
+const { contractABI } = require('./contract');
+const { recordProcessedBlock } = require('./metrics');
+const { handleEvent } = require('./handlers');
+const { createLogRecorder } = require('./logRecords');
+const { confirmTransactions, removeTransactionsFromBlock } = require('./transactions');
+const { logger } = require('./logger');
+
+// Event listener of one contract: backfill from the checkpoint, then live mode with confirmations and reorgs.
+
+// Number of blocks requested per queryFilter call while backfilling
+const BACKFILL_PAGE_SIZE = Number(process.env.BACKFILL_PAGE_SIZE) || 2000;
+
+// Record mode: every queried log is also appended to RECORD_LOGS_FILE, for `node cli.js replay`
+const recordLogs = process.env.RECORD_LOGS_FILE ? createLogRecorder(process.env.RECORD_LOGS_FILE) : null;
+
+// Function to query past events from the contract between `fromBlock` and `toBlock`.
+// Events above `confirmedBlock` are stored as pending. Returns the events found.
+async function fetchPastEvents(contract, networkName, fromBlock, toBlock, confirmedBlock, decimals, priceSource) {
+    // A single wildcard query returns every event of the contract in log order
+    const events = await contract.queryFilter('*', fromBlock, toBlock);
+    if (recordLogs) recordLogs(networkName, events);
+
+    for (const event of events) {
+        await handleEvent(event, networkName, event.blockNumber <= confirmedBlock ? 'confirmed' : 'pending', decimals, priceSource);
+    }
+
+    return events;
+}
+
+// Helper function to find the lowest tracked block whose hash no longer matches the chain.
+// Blocks are checked from the newest down, so a single lookup is enough when nothing changed.
+async function findReorgBlock(provider, blockHashes) {
+    const blockNumbers = [...blockHashes.keys()].sort((a, b) => b - a);
+
+    let reorgBlock = null;
+    for (const blockNumber of blockNumbers) {
+        const block = await provider.getBlock(blockNumber);
+        if (block && block.hash === blockHashes.get(blockNumber)) break;
+        reorgBlock = blockNumber;
+    }
+    return reorgBlock;
+}
+
+// Function to listen to events on a contract.
+// Events missed while the process was down are backfilled from the saved checkpoint
+// (or the configured start block) up to the chain head before live mode starts.
+// Events less than `confirmations` blocks deep are stored as pending, and the hashes of
+// those blocks are tracked so that a reorg removes the rows of the orphaned blocks.
+// Once `signal` is aborted no new page is queried. Returns a function that stops the listener.
+async function listenToContractEvents(provider, blocks, chain, contractConfig, decimals, priceSource, signal) {
+    const networkName = chain.name;
+    const { address: contractAddress, startBlock } = contractConfig;
+    const { confirmations } = chain;
+    // Every log line of this listener is tagged with the chain and the contract it watches
+    const log = logger.child({ chain: networkName, contract: contractAddress.toLowerCase(), listener: contractConfig.name });
+
+    const contract = new ethers.Contract(contractAddress, contractABI, provider);
+
+    // The checkpoint is the last block whose events are confirmed
+    const checkpoint = await getCheckpoint(networkName, contractAddress);
+    const headBlock = await provider.getBlockNumber();
+
+    // Without a checkpoint the events before the head would be skipped without notice, so a start block is required
+    let lastConfirmedBlock;
+    if (checkpoint !== null) {
+        lastConfirmedBlock = checkpoint;
+    } else if (startBlock !== null && startBlock !== undefined) {
+        lastConfirmedBlock = startBlock - 1;
+    } else {
+        throw new Error(`No checkpoint for ${contractConfig.name} (${contractAddress}) on ${networkName} and no startBlock configured: `
+            + `set its startBlock, e.g. to the contract's deployment block (head is ${headBlock})`);
+    }
+    let lastSeenBlock = lastConfirmedBlock;
+
+    // Hashes of the unconfirmed blocks we have processed, by block number
+    const blockHashes = new Map();
+
+    // Rows above the checkpoint were left by a previous run, they are ingested again below
+    await removeTransactionsFromBlock(networkName, contractAddress, lastConfirmedBlock + 1);
+
+    // Helper function to publish the listener progress to the health and metrics endpoints
+    async function reportProgress() {
+        const block = await provider.getBlock(lastSeenBlock);
+        recordProcessedBlock(networkName, contractConfig.name, lastSeenBlock, block?.timestamp, lastConfirmedBlock);
+    }
+
+    async function syncTo(targetBlock) {
+        const reorgBlock = await findReorgBlock(provider, blockHashes);
+        if (reorgBlock !== null) {
+            log.warn('Reorg detected, removing orphaned transactions', { block: reorgBlock });
+            await removeTransactionsFromBlock(networkName, contractAddress, reorgBlock);
+            for (const blockNumber of blockHashes.keys()) {
+                if (blockNumber >= reorgBlock) blockHashes.delete(blockNumber);
+            }
+            lastSeenBlock = Math.min(lastSeenBlock, reorgBlock - 1);
+        }
+
+        const confirmedBlock = targetBlock - confirmations;
+
+        // Query the new blocks in pages, saving the checkpoint after every fully confirmed page
+        // so that an interrupted backfill resumes where it stopped
+        while (lastSeenBlock < targetBlock && !signal.aborted) {
+            const pageStart = lastSeenBlock + 1;
+            const pageEnd = Math.min(pageStart + BACKFILL_PAGE_SIZE - 1, targetBlock);
+            const events = await fetchPastEvents(contract, networkName, pageStart, pageEnd, confirmedBlock, decimals, priceSource);
+
+            for (let blockNumber = Math.max(pageStart, confirmedBlock + 1); blockNumber <= pageEnd; blockNumber++) {
+                const event = events.find((e) => e.blockNumber === blockNumber);
+                blockHashes.set(blockNumber, event ? event.blockHash : (await provider.getBlock(blockNumber)).hash);
+            }
+
+            lastSeenBlock = pageEnd;
+            if (pageEnd <= confirmedBlock) {
+                lastConfirmedBlock = pageEnd;
+                await saveCheckpoint(networkName, contractAddress, lastConfirmedBlock);
+            }
+            await reportProgress();
+        }
+
+        // Blocks up to `confirmedBlock` may not all have been queried
+        if (signal.aborted) return;
+
+        // Promote the pending events that are now deep enough
+        if (confirmedBlock > lastConfirmedBlock) {
+            await confirmTransactions(networkName, contractAddress, confirmedBlock);
+            lastConfirmedBlock = confirmedBlock;
+            await saveCheckpoint(networkName, contractAddress, lastConfirmedBlock);
+            await reportProgress();
+        }
+        for (const blockNumber of blockHashes.keys()) {
+            if (blockNumber <= lastConfirmedBlock) blockHashes.delete(blockNumber);
+        }
+    }
+
+    if (lastSeenBlock < headBlock) {
+        log.info('Backfilling', { fromBlock: lastSeenBlock + 1, toBlock: headBlock });
+    }
+    await syncTo(headBlock);
+    await saveCheckpoint(networkName, contractAddress, lastConfirmedBlock);
+    await reportProgress();
+
+    // Live mode: every new block triggers a query for the blocks since the last processed one,
+    // so live events go through the same path as the backfill and nothing falls in between,
+    // including the blocks missed while a WebSocket subscription was reconnecting.
+    // Blocks are processed one range at a time; a failed range is retried on the next block.
+    let syncing = Promise.resolve();
+    const onBlock = (blockNumber) => {
+        syncing = syncing.then(async () => {
+            if (signal.aborted || blockNumber <= lastSeenBlock) return;
+            try {
+                await syncTo(blockNumber);
+            } catch (err) {
+                log.error('Error processing blocks', { toBlock: blockNumber, err });
+            }
+        });
+    };
+    if (!signal.aborted) {
+        blocks.on('block', onBlock);
+        log.info('Listening for events', { confirmations });
+    }
+
+    // Function to stop the listener: the blocks in flight are finished and the checkpoint is saved
+    return async function stopListener() {
+        blocks.off('block', onBlock);
+        await syncing;
+        await saveCheckpoint(networkName, contractAddress, lastConfirmedBlock);
+        log.info('Listener stopped', { block: lastConfirmedBlock });
+    };
+}
+
+module.exports = { listenToContractEvents };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { contractABI } = require('./contract');
+const { logger } = require('./logger');
+
+// Recorded contract logs, used to reproduce the event handlers offline.
+// The indexer appends every log it queries to RECORD_LOGS_FILE when that is set (record mode), and
+// `node cli.js replay <file>` feeds a recording back through the handlers. A recording is an NDJSON file,
+// or a JSON list, of raw logs:
+//   { "chain": "ETH", "address": "0x...", "blockNumber": 1, "blockHash": "0x...", "transactionHash": "0x...",
+//     "transactionIndex": 0, "logIndex": 0, "topics": ["0x..."], "data": "0x..." }
+
+const contractInterface = new ethers.utils.Interface(contractABI);
+
+// Helper function to turn a queried event back into its raw log record
+function toLogRecord(chainName, event) {
+    return {
+        chain: chainName,
+        address: event.address,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        transactionIndex: event.transactionIndex,
+        logIndex: event.logIndex,
+        topics: event.topics,
+        data: event.data,
+    };
+}
+
+// Function to create the recorder of record mode, which appends the logs of a chain to `file`
+function createLogRecorder(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    logger.info('Recording contract logs', { file });
+
+    return function recordLogs(chainName, events) {
+        if (events.length === 0) return;
+        const lines = events.map((event) => `${JSON.stringify(toLogRecord(chainName, event))}\n`);
+        fs.appendFileSync(file, lines.join(''));
+    };
+}
+
+// Function to read a recording, in file order
+function readLogRecords(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    if (content.trimStart().startsWith('[')) return JSON.parse(content);
+
+    return content.split('\n').flatMap((line, index) => {
+        if (line.trim() === '') return [];
+        try {
+            return [JSON.parse(line)];
+        } catch (err) {
+            throw new Error(`Invalid log record on line ${index + 1} of ${file}: ${err.message}`);
+        }
+    });
+}
+
+// Function to decode a raw log record with the contract ABI into the shape of the events returned by
+// `contract.queryFilter`. Returns null for logs of events the ABI does not know.
+function decodeLogRecord(record) {
+    let parsed;
+    try {
+        parsed = contractInterface.parseLog({ topics: record.topics, data: record.data });
+    } catch (err) {
+        return null;
+    }
+
+    return {
+        address: record.address,
+        blockNumber: Number(record.blockNumber),
+        blockHash: record.blockHash,
+        transactionHash: record.transactionHash,
+        transactionIndex: record.transactionIndex,
+        logIndex: Number(record.logIndex),
+        topics: record.topics,
+        data: record.data,
+        event: parsed.name,
+        eventSignature: parsed.signature,
+        args: parsed.args,
+    };
+}
+
+module.exports = { createLogRecorder, readLogRecords, decodeLogRecord };
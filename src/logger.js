@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger of the service. Every entry is written as one JSON line:
+//   {"time":"...","level":"info","msg":"Transaction logged","chain":"ETH","contract":"0x...","event":"BoughtWithNative",
+//    "txHash":"0x...","block":123,"logIndex":4,"correlationId":"...", ...fields}
+// Entries below LOG_LEVEL (debug, info, warn, error; info by default) are dropped. warn and error go to stderr,
+// and so does every entry once sendLogsToStderr() is called, e.g. by the CLI whose stdout holds command output.
+//
+// Fields come from three places, later ones winning: the log context of the running code (withLogContext),
+// the bindings of the logger (logger.child) and the fields passed with the entry. An `err` field, or any
+// Error value, is serialized with serializeError.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+let allToStderr = false;
+
+// Helper function to read LOG_LEVEL, falling back to info for an unknown level
+function configuredLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    if (LEVELS[level]) return level;
+    process.stderr.write(`${JSON.stringify({ time: new Date().toISOString(), level: 'warn', msg: `Unknown LOG_LEVEL "${level}", using info` })}\n`);
+    return 'info';
+}
+
+const minimumLevel = LEVELS[configuredLevel()];
+
+// Helper function to turn any thrown value (Error, Supabase error object, ethers error, string) into plain JSON.
+// ethers errors keep their short `reason` as the message, their full message embeds the request and so the RPC URL.
+function serializeError(error) {
+    if (!error) return null;
+    if (typeof error !== 'object') return { message: String(error) };
+    return {
+        name: error.name,
+        message: error.reason || error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        status: error.status,
+        stack: error.stack,
+    };
+}
+
+// Helper function to make entry fields JSON-safe
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        serialized[key] = key === 'err' || value instanceof Error ? serializeError(value) : value;
+    }
+    return serialized;
+}
+
+// JSON.stringify replacer writing BigNumbers (serialized by ethers as { type, hex }) and bigints as decimal strings
+function replaceValue(key, value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value && value.type === 'BigNumber' && typeof value.hex === 'string') return BigInt(value.hex).toString();
+    return value;
+}
+
+function write(level, msg, fields, bindings) {
+    if (LEVELS[level] < minimumLevel) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...contextStorage.getStore(),
+        ...bindings,
+        ...serializeFields(fields),
+    };
+    const stream = allToStderr || LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry, replaceValue)}\n`);
+}
+
+// Function to create a logger adding `bindings` to every entry
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', msg, fields, bindings),
+        info: (msg, fields) => write('info', msg, fields, bindings),
+        warn: (msg, fields) => write('warn', msg, fields, bindings),
+        error: (msg, fields) => write('error', msg, fields, bindings),
+        child: (more) => createLogger({ ...bindings, ...more }),
+    };
+}
+
+const logger = createLogger();
+
+function sendLogsToStderr() {
+    allToStderr = true;
+}
+
+// Function to run `fn` with `fields` added to every entry logged while it runs, including in the
+// callbacks and promises it starts. Contexts nest, the inner fields win.
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+// Helper function to read the log context of the running code, e.g. to keep it with work that is resumed later
+function getLogContext() {
+    return { ...contextStorage.getStore() };
+}
+
+// Helper function to derive the correlation ID of a contract event from its identity. The same event gets the
+// same ID whenever it is handled, so its insert, confirmation, removal and dead letter replay can be followed.
+function eventCorrelationId(chainName, transactionHash, logIndex) {
+    return crypto
+        .createHash('sha256')
+        .update(`${chainName}:${transactionHash.toLowerCase()}:${logIndex}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Function to run `fn` in the log context of one contract event
+function withEventContext({ chainName, contractAddress, eventName, transactionHash, blockNumber, logIndex }, fn) {
+    return withLogContext({
+        correlationId: eventCorrelationId(chainName, transactionHash, logIndex),
+        chain: chainName,
+        contract: contractAddress?.toLowerCase(),
+        event: eventName,
+        txHash: transactionHash,
+        block: blockNumber,
+        logIndex,
+    }, fn);
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    sendLogsToStderr,
+    serializeError,
+    withLogContext,
+    getLogContext,
+    withEventContext,
+    eventCorrelationId,
+};
@@ -0,0 +1,239 @@
+// In-process indexing metrics, exposed on /metrics in the Prometheus text format and summarized on /healthz
+
+// A chain is unhealthy when its head or its processed blocks have not moved for this long
+const STALL_THRESHOLD_SECONDS = Number(process.env.STALL_THRESHOLD_SECONDS) || 300;
+
+const startedAt = Date.now();
+
+// chainName -> { headBlock, headUpdatedAt, lastEventAt, contracts: { contractName -> progress } }
+const chains = {};
+
+const eventsProcessed = new Map();
+const writeRetries = new Map();
+const writeFailures = new Map();
+const webhookDeliveries = new Map();
+const rpcEndpoints = new Map();
+const rpcFailovers = new Map();
+const webSockets = new Map();
+const leases = new Map();
+
+function getChain(chainName) {
+    return chains[chainName] || (chains[chainName] = {
+        headBlock: null,
+        headUpdatedAt: null,
+        lastEventAt: null,
+        contracts: {},
+    });
+}
+
+function increment(counter, key) {
+    counter.set(key, (counter.get(key) || 0) + 1);
+}
+
+// Helper function to record the latest block number reported by a chain's provider
+function recordChainHead(chainName, blockNumber) {
+    const chain = getChain(chainName);
+    if (chain.headBlock === null || blockNumber > chain.headBlock) {
+        chain.headBlock = blockNumber;
+    }
+    chain.headUpdatedAt = Date.now();
+}
+
+// Helper function to record how far a contract listener got: the last block queried,
+// its timestamp (seconds) and the last block whose events are confirmed
+function recordProcessedBlock(chainName, contractName, lastProcessedBlock, blockTimestamp, lastConfirmedBlock) {
+    getChain(chainName).contracts[contractName] = {
+        lastProcessedBlock,
+        lastProcessedTimestamp: blockTimestamp,
+        lastConfirmedBlock,
+        updatedAt: Date.now(),
+    };
+}
+
+// Helper function to count a decoded contract event
+function recordEvent(chainName, eventName) {
+    increment(eventsProcessed, `${chainName}|${eventName}`);
+    getChain(chainName).lastEventAt = Date.now();
+}
+
+// Helper function to count a database write that is retried
+function recordWriteRetry(table) {
+    increment(writeRetries, table);
+}
+
+// Helper function to count a database write that failed for good
+function recordWriteFailure(table) {
+    increment(writeFailures, table);
+}
+
+// Helper function to count a webhook delivery attempt by outcome: delivered, retrying or failed
+function recordWebhookDelivery(subscription, outcome) {
+    increment(webhookDeliveries, `${subscription}|${outcome}`);
+}
+
+// Helper function to record whether an RPC endpoint of a chain passes its health checks
+function recordRpcEndpointHealth(chainName, endpoint, healthy) {
+    rpcEndpoints.set(`${chainName}|${endpoint}`, healthy);
+}
+
+// Helper function to count a switch of a chain's requests to another RPC endpoint
+function recordRpcFailover(chainName) {
+    increment(rpcFailovers, chainName);
+}
+
+// Helper function to record whether a chain's WebSocket subscription is connected, counting the connections
+function recordWebSocketState(chainName, connected) {
+    const state = webSockets.get(chainName) || { connected: false, connections: 0 };
+    if (connected && !state.connected) state.connections += 1;
+    state.connected = connected;
+    webSockets.set(chainName, state);
+}
+
+// Helper function to record whether this instance holds a lease (see src/leader.js)
+function recordLeadership(lease, leader) {
+    leases.set(lease, leader);
+}
+
+// Helper function to drop the progress of a chain this instance stopped indexing, e.g. after losing its lease,
+// so it is not reported as stalled
+function forgetChain(chainName) {
+    delete chains[chainName];
+}
+
+function secondsSince(time) {
+    return time === null ? null : (Date.now() - time) / 1000;
+}
+
+// Function to summarize every chain and contract listener, with a healthy flag per chain
+function getHealth() {
+    const now = Date.now();
+    const result = {};
+
+    for (const [chainName, chain] of Object.entries(chains)) {
+        const contracts = {};
+        let healthy = secondsSince(chain.headUpdatedAt) !== null && secondsSince(chain.headUpdatedAt) <= STALL_THRESHOLD_SECONDS;
+
+        for (const [contractName, progress] of Object.entries(chain.contracts)) {
+            const lagBlocks = chain.headBlock === null ? null : Math.max(chain.headBlock - progress.lastProcessedBlock, 0);
+            const lagSeconds = progress.lastProcessedTimestamp ? Math.max(now / 1000 - progress.lastProcessedTimestamp, 0) : null;
+            const stalled = lagSeconds === null || lagSeconds > STALL_THRESHOLD_SECONDS;
+            if (stalled) healthy = false;
+
+            contracts[contractName] = {
+                lastProcessedBlock: progress.lastProcessedBlock,
+                lastConfirmedBlock: progress.lastConfirmedBlock,
+                lagBlocks,
+                lagSeconds,
+                stalled,
+            };
+        }
+
+        result[chainName] = {
+            healthy,
+            headBlock: chain.headBlock,
+            secondsSinceHeadUpdate: secondsSince(chain.headUpdatedAt),
+            secondsSinceLastEvent: secondsSince(chain.lastEventAt),
+            contracts,
+        };
+    }
+
+    // A standby instance indexes no chain and is healthy as long as it competes for the leases
+    return {
+        healthy: (Object.keys(result).length > 0 || leases.size > 0) && Object.values(result).every((chain) => chain.healthy),
+        uptimeSeconds: secondsSince(startedAt),
+        stallThresholdSeconds: STALL_THRESHOLD_SECONDS,
+        leases: Object.fromEntries(leases),
+        chains: result,
+    };
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Function to render every metric in the Prometheus text exposition format
+function renderMetrics() {
+    const health = getHealth();
+    const lines = [];
+
+    function metric(name, type, help, samples) {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            if (value === null || value === undefined) continue;
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+    }
+
+    const chainEntries = Object.entries(health.chains);
+    const contractEntries = chainEntries.flatMap(([chainName, chain]) => {
+        return Object.entries(chain.contracts).map(([contractName, contract]) => [{ chain: chainName, contract: contractName }, contract]);
+    });
+
+    metric('indexer_up', 'gauge', 'Whether every chain is indexing within the stall threshold.', [[{}, health.healthy ? 1 : 0]]);
+    metric('indexer_chain_healthy', 'gauge', 'Whether the chain is indexing within the stall threshold.',
+        chainEntries.map(([chainName, chain]) => [{ chain: chainName }, chain.healthy ? 1 : 0]));
+    metric('indexer_chain_head_block', 'gauge', 'Latest block number reported by the chain provider.',
+        chainEntries.map(([chainName, chain]) => [{ chain: chainName }, chain.headBlock]));
+    metric('indexer_seconds_since_last_event', 'gauge', 'Seconds since the last contract event was processed on the chain.',
+        chainEntries.map(([chainName, chain]) => [{ chain: chainName }, chain.secondsSinceLastEvent]));
+    metric('indexer_last_processed_block', 'gauge', 'Last block whose events were queried.',
+        contractEntries.map(([labels, contract]) => [labels, contract.lastProcessedBlock]));
+    metric('indexer_last_confirmed_block', 'gauge', 'Last block whose events are confirmed.',
+        contractEntries.map(([labels, contract]) => [labels, contract.lastConfirmedBlock]));
+    metric('indexer_lag_blocks', 'gauge', 'Blocks between the chain head and the last processed block.',
+        contractEntries.map(([labels, contract]) => [labels, contract.lagBlocks]));
+    metric('indexer_lag_seconds', 'gauge', 'Seconds since the timestamp of the last processed block.',
+        contractEntries.map(([labels, contract]) => [labels, contract.lagSeconds]));
+    metric('indexer_events_processed_total', 'counter', 'Contract events processed, by chain and event.',
+        [...eventsProcessed].map(([key, value]) => {
+            const [chain, event] = key.split('|');
+            return [{ chain, event }, value];
+        }));
+    metric('indexer_db_write_retries_total', 'counter', 'Database writes that were retried, by table.',
+        [...writeRetries].map(([table, value]) => [{ table }, value]));
+    metric('indexer_db_write_failures_total', 'counter', 'Database writes that failed after every retry, by table.',
+        [...writeFailures].map(([table, value]) => [{ table }, value]));
+    metric('indexer_rpc_endpoint_up', 'gauge', 'Whether the RPC endpoint passes its health checks, by chain and endpoint host.',
+        [...rpcEndpoints].map(([key, healthy]) => {
+            const [chain, endpoint] = key.split('|');
+            return [{ chain, endpoint }, healthy ? 1 : 0];
+        }));
+    metric('indexer_rpc_failovers_total', 'counter', 'Switches of the chain requests to another RPC endpoint.',
+        [...rpcFailovers].map(([chain, value]) => [{ chain }, value]));
+    metric('indexer_websocket_connected', 'gauge', 'Whether the WebSocket block subscription of the chain is connected.',
+        [...webSockets].map(([chain, state]) => [{ chain }, state.connected ? 1 : 0]));
+    metric('indexer_websocket_connections_total', 'counter', 'WebSocket connections opened for the chain, reconnections included.',
+        [...webSockets].map(([chain, state]) => [{ chain }, state.connections]));
+    metric('indexer_leader', 'gauge', 'Whether this instance holds the lease, by lease name.',
+        [...leases].map(([lease, leader]) => [{ lease }, leader ? 1 : 0]));
+    metric('indexer_webhook_deliveries_total', 'counter', 'Webhook delivery attempts, by subscription and outcome.',
+        [...webhookDeliveries].map(([key, value]) => {
+            const [subscription, outcome] = key.split('|');
+            return [{ subscription, outcome }, value];
+        }));
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    recordChainHead,
+    recordProcessedBlock,
+    recordEvent,
+    recordWriteRetry,
+    recordWriteFailure,
+    recordWebhookDelivery,
+    recordRpcEndpointHealth,
+    recordRpcFailover,
+    recordWebSocketState,
+    recordLeadership,
+    forgetChain,
+    getHealth,
+    renderMetrics,
+};
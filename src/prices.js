@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { storage } = require('./storage');
+const { normalizeAmount, multiplyAmounts } = require('./amounts');
+const { updateUserDeposit } = require('./transactions');
+const { logger } = require('./logger');
+
+// USD prices of a chain's native currency, used to value native purchases at their block.
+// Each chain picks its price source with `priceSource` in the network config:
+//   { "type": "chainlink", "address": "0x..." }   a Chainlink USD aggregator, read at the event block
+//   { "type": "table", "file": "prices/eth.csv" } a local price table, for offline runs
+// Every source implements getPrice(blockNumber, blockTimestamp) -> decimal string, or null when unknown.
+// Confirmed purchases stored without a price are valued again every PRICE_RETRY_INTERVAL_MS, see startPriceRetrier.
+
+// An aggregator answer older than this at the event block is stale, e.g. the feed stopped updating.
+// Chainlink USD feeds update at least once per heartbeat, one hour at most.
+const PRICE_MAX_AGE_SECONDS = Number(process.env.PRICE_MAX_AGE_SECONDS) || 3600;
+const PRICE_RETRY_INTERVAL_MS = Number(process.env.PRICE_RETRY_INTERVAL_MS) || 600000;
+const PRICE_RETRY_BATCH_SIZE = 100;
+
+const aggregatorABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+function createChainlinkSource(chainName, address, provider) {
+    const log = logger.child({ chain: chainName });
+    const aggregator = new ethers.Contract(address, aggregatorABI, provider);
+    let decimals;
+    let archiveWarned = false;
+
+    // Helper function to read the round at the event block. Reading an older block requires an archive node,
+    // other nodes only keep recent state: the latest round is read instead, and checked for staleness below.
+    async function readRound(blockNumber) {
+        try {
+            return await aggregator.latestRoundData({ blockTag: blockNumber });
+        } catch (err) {
+            if (!archiveWarned) {
+                log.warn('Cannot read the price feed at the event block, using the latest round (older blocks need an archive node)', { blockNumber, err });
+                archiveWarned = true;
+            } else {
+                log.debug('Cannot read the price feed at the event block, using the latest round', { blockNumber });
+            }
+            return aggregator.latestRoundData();
+        }
+    }
+
+    return {
+        async getPrice(blockNumber, blockTimestamp) {
+            if (decimals === undefined) decimals = await aggregator.decimals();
+            const { answer, updatedAt } = await readRound(blockNumber);
+
+            if (answer.lte(0)) {
+                log.warn('Price feed answer is not positive, ignoring it', { blockNumber, answer: answer.toString() });
+                return null;
+            }
+            // A stopped feed, or the latest round read for a much older block, is no price for the block
+            if (blockTimestamp) {
+                const ageSeconds = Math.floor(new Date(blockTimestamp).getTime() / 1000) - updatedAt.toNumber();
+                if (Math.abs(ageSeconds) > PRICE_MAX_AGE_SECONDS) {
+                    log.warn('Price feed answer is stale for the event block, ignoring it', { blockNumber, updatedAt: updatedAt.toNumber(), ageSeconds });
+                    return null;
+                }
+            }
+            return normalizeAmount(answer, decimals);
+        },
+    };
+}
+
+// Helper function to read a price table: a JSON list of { timestamp, price } or a CSV file with
+// `timestamp,price` lines. Timestamps are unix seconds or ISO dates.
+function readPriceTable(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const entries = file.endsWith('.json')
+        ? JSON.parse(content)
+        : content.split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith('timestamp'))
+            .map((line) => {
+                const [timestamp, price] = line.split(',').map((value) => value.trim());
+                return { timestamp, price };
+            });
+
+    return entries.map(({ timestamp, price }) => {
+        const time = /^\d+$/.test(String(timestamp)) ? Number(timestamp) * 1000 : Date.parse(timestamp);
+        if (Number.isNaN(time) || price === undefined || price === '' || Number.isNaN(Number(price))) {
+            throw new Error(`Invalid price table entry in ${file}: ${JSON.stringify({ timestamp, price })}`);
+        }
+        return { time, price: String(price) };
+    }).sort((a, b) => a.time - b.time);
+}
+
+function createTableSource(chainName, file) {
+    const table = readPriceTable(path.resolve(__dirname, '..', file));
+    logger.info('Loaded price table', { chain: chainName, file, prices: table.length });
+
+    return {
+        // The price of a block is the last entry at or before its timestamp
+        async getPrice(blockNumber, blockTimestamp) {
+            const time = new Date(blockTimestamp).getTime();
+            let low = 0;
+            let high = table.length - 1;
+            let found = null;
+            while (low <= high) {
+                const middle = Math.floor((low + high) / 2);
+                if (table[middle].time <= time) {
+                    found = table[middle];
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return found ? found.price : null;
+        },
+    };
+}
+
+// Function to create the price source of a chain. Chains without `priceSource` get a source that
+// knows no price, their native purchases are stored without a USD value.
+function createPriceSource(chain, provider) {
+    const config = chain.priceSource;
+    if (!config) {
+        logger.warn('No price source configured, native purchases are stored without a USD value', { chain: chain.name });
+        return { async getPrice() { return null; } };
+    }
+    if (config.type === 'chainlink') {
+        return createChainlinkSource(chain.name, config.address, provider);
+    }
+    return createTableSource(chain.name, config.file);
+}
+
+// Function to value the chain's confirmed native purchases stored without a USD price, e.g. while the feed was
+// stale or could not be read. A purchase priced now adds its USD value to the wallet balances. Returns the number
+// of purchases priced.
+async function priceUnpricedPurchases(priceSource, chain, log) {
+    let afterId = 0;
+    let priced = 0;
+    let rows;
+    do {
+        rows = await storage.getUnpricedTransactions(chain.name, afterId, PRICE_RETRY_BATCH_SIZE);
+        for (const row of rows) {
+            afterId = row.id;
+            let price;
+            try {
+                price = await priceSource.getPrice(row.block_number, row.block_timestamp);
+            } catch (err) {
+                log.warn('Error reading the USD price of an unpriced purchase', { txHash: row.transaction_hash, err });
+                continue;
+            }
+            if (price === null) continue;
+
+            // Only the call that sets the price adds the USD value to the balances
+            const depositAmountUsd = multiplyAmounts(row.deposit_amount, price);
+            if (!(await storage.setTransactionPrice(row.id, price, depositAmountUsd))) continue;
+            await updateUserDeposit(row.address, row.chain_name, 0, 0, 0, 'native', depositAmountUsd);
+            priced++;
+        }
+    } while (rows.length === PRICE_RETRY_BATCH_SIZE);
+    return priced;
+}
+
+// Function to start valuing the chain's unpriced purchases every PRICE_RETRY_INTERVAL_MS. Returns a function
+// that stops it, waiting for the pass in flight.
+function startPriceRetrier(priceSource, chain) {
+    const log = logger.child({ chain: chain.name });
+    let stopped = false;
+    let timer = null;
+    let current = Promise.resolve();
+
+    async function run() {
+        try {
+            const priced = await priceUnpricedPurchases(priceSource, chain, log);
+            if (priced > 0) log.info('Unpriced purchases valued', { rows: priced });
+        } catch (err) {
+            log.error('Error valuing unpriced purchases', { err });
+        }
+    }
+
+    function schedule() {
+        current = run().finally(() => {
+            if (!stopped) timer = setTimeout(schedule, PRICE_RETRY_INTERVAL_MS);
+        });
+    }
+    schedule();
+
+    return async function stopPriceRetrier() {
+        stopped = true;
+        clearTimeout(timer);
+        await current;
+    };
+}
+
+module.exports = { createPriceSource, startPriceRetrier };
@@ -0,0 +1,154 @@
+const { ethers } = require('ethers');
+const { storage } = require('./storage');
+const { transactionABI } = require('./contract');
+const { compareAmounts } = require('./amounts');
+const { transactionBalanceChanges, addBalanceChanges } = require('./transactions');
+
+// Reconciliation of the wallet balances (`user_deposits`, `user_chain_deposits`), which are maintained
+// incrementally by the indexer. The balances are recomputed from the confirmed rows of `user_transactions`
+// and compared with the stored ones; `user_transactions` itself can be checked against the contract logs of a block range.
+
+const BALANCE_FIELDS = [
+    'total_native_deposit',
+    'total_native_deposit_usd',
+    'total_usdt_deposit',
+    'total_token_amount',
+    'total_tokens_claimed',
+    'claimable_tokens',
+];
+
+// Helper function to recompute every wallet's balances from the confirmed transactions, with the same
+// rules as the incremental updates. Returns the `user_deposits` rows and the `user_chain_deposits` rows.
+async function rebuildDeposits() {
+    const rows = await storage.getConfirmedTransactions({});
+    const deposits = new Map();
+    const chainDeposits = new Map();
+
+    for (const row of rows) {
+        const changes = transactionBalanceChanges(row);
+        const chainKey = `${row.address}:${row.chain_name}`;
+
+        deposits.set(row.address, {
+            address: row.address,
+            ...addBalanceChanges(deposits.get(row.address), changes),
+        });
+        chainDeposits.set(chainKey, {
+            address: row.address,
+            chain_name: row.chain_name,
+            ...addBalanceChanges(chainDeposits.get(chainKey), changes),
+        });
+    }
+
+    return { deposits, chainDeposits };
+}
+
+// Helper function to list the stored rows that differ from the recomputed ones. Rows without transactions
+// behind them are expected to be all zeros.
+function diffBalances(computed, stored, keyOf, emptyRow) {
+    const storedByKey = new Map(stored.map((row) => [keyOf(row), row]));
+    const keys = [...new Set([...computed.keys(), ...storedByKey.keys()])].sort();
+
+    const differences = [];
+    for (const key of keys) {
+        const actual = storedByKey.get(key) || null;
+        const expected = computed.get(key) || { ...emptyRow(actual), ...addBalanceChanges(null, {}) };
+        const fields = BALANCE_FIELDS.filter((field) => {
+            return !actual || compareAmounts(actual[field], expected[field]) !== 0;
+        });
+
+        if (fields.length > 0) {
+            differences.push({ key, stored: actual, computed: expected, fields });
+        }
+    }
+    return { differences, checked: keys.length };
+}
+
+// Function to compare the stored balances with the recomputed ones, in total (`user_deposits`)
+// and per chain (`user_chain_deposits`)
+async function diffDeposits() {
+    const [computed, stored, storedChains] = await Promise.all([
+        rebuildDeposits(),
+        storage.listDeposits(),
+        storage.listChainDeposits(),
+    ]);
+
+    return {
+        deposits: diffBalances(computed.deposits, stored, (row) => row.address, (row) => ({
+            address: row.address,
+        })),
+        chainDeposits: diffBalances(computed.chainDeposits, storedChains, (row) => `${row.address}:${row.chain_name}`, (row) => ({
+            address: row.address,
+            chain_name: row.chain_name,
+        })),
+    };
+}
+
+// Function to rewrite the balances returned by diffDeposits, one write per table
+async function fixDeposits({ deposits, chainDeposits }) {
+    const lastUpdated = new Date().toISOString();
+    const rows = (differences) => differences.map(({ computed }) => ({ ...computed, last_updated: lastUpdated }));
+
+    await storage.upsertDeposits(rows(deposits.differences));
+    await storage.upsertChainDeposits(rows(chainDeposits.differences));
+}
+
+// Function to check `user_transactions` against the contract logs between `fromBlock` and `toBlock`.
+// Returns the logs that were never stored and the stored rows (of any status) that have no log behind them.
+// Rows stored before events had an identity have no contract or log index: a log is matched to one of them by
+// transaction hash and event name, the way the indexer takes them over (claimLegacyTransaction). Legacy rows left
+// unmatched are returned apart (`unmatchedLegacy`), they may belong to another contract of the chain.
+async function checkContractLogs(provider, chainName, contractAddress, fromBlock, toBlock, pageSize) {
+    const contract = new ethers.Contract(contractAddress, transactionABI, provider);
+    const stored = await storage.findTransactions({
+        chainName,
+        contractAddress: contractAddress.toLowerCase(),
+        fromBlock,
+        toBlock,
+    });
+    const legacy = await storage.findLegacyTransactions({ chainName, fromBlock, toBlock });
+    const identity = (transactionHash, logIndex) => `${transactionHash.toLowerCase()}:${logIndex}`;
+    const storedByIdentity = new Map(stored.map((row) => [identity(row.transaction_hash, row.log_index), row]));
+    const legacyKey = (transactionHash, eventName) => `${transactionHash.toLowerCase()}:${eventName}`;
+    const legacyByKey = new Map();
+    for (const row of legacy) {
+        const key = legacyKey(row.transaction_hash, row.event_name);
+        if (!legacyByKey.has(key)) legacyByKey.set(key, []);
+        legacyByKey.get(key).push(row);
+    }
+    let legacyMatched = 0;
+
+    const missing = [];
+    let logs = 0;
+    for (let pageStart = fromBlock; pageStart <= toBlock; pageStart += pageSize) {
+        const pageEnd = Math.min(pageStart + pageSize - 1, toBlock);
+        const events = await contract.queryFilter('*', pageStart, pageEnd);
+
+        for (const event of events) {
+            // Only the events stored in user_transactions are checked
+            if (!event.event) continue;
+            logs += 1;
+
+            const key = identity(event.transactionHash, event.logIndex);
+            const legacyRows = legacyByKey.get(legacyKey(event.transactionHash, event.event));
+            if (storedByIdentity.has(key)) {
+                storedByIdentity.delete(key);
+            } else if (legacyRows?.length > 0) {
+                legacyRows.shift();
+                legacyMatched += 1;
+            } else {
+                missing.push(event);
+            }
+        }
+    }
+
+    return {
+        logs,
+        stored: stored.length + legacyMatched,
+        legacy: legacyMatched,
+        missing,
+        unexpected: [...storedByIdentity.values()],
+        unmatchedLegacy: [...legacyByKey.values()].flat(),
+    };
+}
+
+module.exports = { diffDeposits, fixDeposits, checkContractLogs };
@@ -0,0 +1,282 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { recordRpcEndpointHealth, recordRpcFailover, recordWebSocketState } = require('./metrics');
+const { logger } = require('./logger');
+const { loadConfig } = require('./config');
+
+// RPC access of a chain: requests fail over between the chain's `rpcUrls`, and new blocks come from a
+// WebSocket subscription on `wsUrls` when configured, with HTTP polling whenever no WebSocket is connected.
+
+const REQUEST_TIMEOUT_MS = Number(process.env.RPC_TIMEOUT_MS) || 15000;
+const HEALTH_CHECK_INTERVAL_MS = Number(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || 30000;
+// An endpoint this many blocks behind the most advanced one is taken out of rotation
+const MAX_LAG_BLOCKS = Number(process.env.RPC_MAX_LAG_BLOCKS) || 10;
+const WS_PING_INTERVAL_MS = Number(process.env.WS_PING_INTERVAL_MS) || 15000;
+const WS_RECONNECT_MAX_MS = Number(process.env.WS_RECONNECT_MAX_MS) || 30000;
+
+// JSON-RPC error codes providers use for rate limits
+const RATE_LIMIT_CODES = [-32005, -32029, 429];
+
+// Helper function to name an endpoint in logs and metrics. Only the host is used,
+// because the path or query string of most provider URLs holds the API key.
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch (err) {
+        return 'invalid-url';
+    }
+}
+
+// Helper function to describe an endpoint error without the request details ethers adds to its message,
+// which include the URL and so the API key
+function describeError(err) {
+    if (err.error?.message) return err.error.message;
+    return `${err.reason || err.message}${err.status ? ` (HTTP ${err.status})` : ''}`;
+}
+
+// Helper function to tell whether an error means the endpoint is unusable (down, timing out, rate limiting)
+// rather than a valid answer to a bad request, e.g. a reverted call, which every endpoint would give
+function isEndpointFailure(err) {
+    // ethers wraps JSON-RPC error responses, the response itself is in `err.error`
+    const rpcError = err.error;
+    if (rpcError && typeof rpcError.code === 'number') {
+        return RATE_LIMIT_CODES.includes(rpcError.code) || /rate limit|too many requests/i.test(rpcError.message || '');
+    }
+    return [ethers.errors.SERVER_ERROR, ethers.errors.TIMEOUT, ethers.errors.NETWORK_ERROR].includes(err.code);
+}
+
+// Provider that sends every request to the active endpoint and fails over to the next one when it is
+// unusable. Extends the ethers provider so contracts, polling and block lookups all go through `send`.
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+    constructor(chainName, urls) {
+        super({ url: urls[0], timeout: REQUEST_TIMEOUT_MS });
+        this.chainName = chainName;
+        this.log = logger.child({ chain: chainName });
+        this.endpoints = urls.map((url) => ({
+            label: endpointLabel(url),
+            // A rate-limited endpoint fails at once instead of being retried by ethers, so the next one takes over
+            provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: REQUEST_TIMEOUT_MS, throttleLimit: 1 }),
+            healthy: true,
+        }));
+        this.active = this.endpoints[0];
+        this.healthCheckTimer = null;
+
+        for (const endpoint of this.endpoints) {
+            recordRpcEndpointHealth(chainName, endpoint.label, true);
+        }
+    }
+
+    setHealth(endpoint, healthy, reason) {
+        if (endpoint.healthy === healthy) return;
+        endpoint.healthy = healthy;
+        recordRpcEndpointHealth(this.chainName, endpoint.label, healthy);
+        if (healthy) {
+            this.log.info('RPC endpoint is healthy again', { endpoint: endpoint.label });
+        } else {
+            this.log.warn('RPC endpoint is unhealthy', { endpoint: endpoint.label, reason });
+        }
+    }
+
+    activate(endpoint) {
+        if (endpoint === this.active) return;
+        this.log.warn('RPC requests switched to another endpoint', { from: this.active.label, to: endpoint.label });
+        this.active = endpoint;
+        recordRpcFailover(this.chainName);
+    }
+
+    async send(method, params) {
+        // The active endpoint first, then the other healthy ones, then the unhealthy ones as a last resort
+        const others = this.endpoints.filter((endpoint) => endpoint !== this.active);
+        const candidates = [
+            this.active,
+            ...others.filter((endpoint) => endpoint.healthy),
+            ...others.filter((endpoint) => !endpoint.healthy),
+        ];
+
+        let lastError;
+        for (const endpoint of candidates) {
+            try {
+                const result = await endpoint.provider.send(method, params);
+                this.setHealth(endpoint, true);
+                this.activate(endpoint);
+                return result;
+            } catch (err) {
+                if (!isEndpointFailure(err)) throw err;
+                this.setHealth(endpoint, false, describeError(err));
+                lastError = err;
+            }
+        }
+        throw lastError;
+    }
+
+    // Function to check every endpoint: it must answer and be close to the most advanced head.
+    // Requests go back to the first healthy endpoint in config order, so the primary is used again once it recovers.
+    async checkEndpoints() {
+        const heads = await Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                return ethers.BigNumber.from(await endpoint.provider.send('eth_blockNumber', [])).toNumber();
+            } catch (err) {
+                this.setHealth(endpoint, false, describeError(err));
+                return null;
+            }
+        }));
+
+        const bestHead = Math.max(...heads.filter((head) => head !== null));
+        this.endpoints.forEach((endpoint, index) => {
+            if (heads[index] === null) return;
+            const lag = bestHead - heads[index];
+            this.setHealth(endpoint, lag <= MAX_LAG_BLOCKS, `${lag} blocks behind`);
+        });
+
+        const preferred = this.endpoints.find((endpoint) => endpoint.healthy);
+        if (preferred) this.activate(preferred);
+    }
+
+    startHealthChecks() {
+        if (this.endpoints.length < 2 || this.healthCheckTimer) return;
+        this.healthCheckTimer = setInterval(() => {
+            this.checkEndpoints().catch((err) => this.log.error('RPC health check failed', { reason: describeError(err) }));
+        }, HEALTH_CHECK_INTERVAL_MS);
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthCheckTimer);
+        this.healthCheckTimer = null;
+    }
+}
+
+// Helper function to release a WebSocket provider that is done with: its listeners are removed, the requests still
+// waiting for an answer on it are failed (they would never settle once the socket is gone), so are the requests
+// sent from then on (e.g. the network detection retrying), and its socket is closed.
+// Without this every reconnection would keep the previous provider and its pending requests alive.
+function releaseWebSocketProvider(wsProvider) {
+    wsProvider.removeAllListeners();
+    wsProvider.send = async () => {
+        throw new Error('WebSocket closed');
+    };
+    for (const id of Object.keys(wsProvider._requests)) {
+        const { callback } = wsProvider._requests[id];
+        delete wsProvider._requests[id];
+        callback(new Error('WebSocket closed'));
+    }
+    wsProvider.destroy().catch(() => {});
+}
+
+// Function to create the failover provider of a chain from the network config
+function createChainProvider(chain) {
+    return new FailoverProvider(chain.name, chain.rpcUrls);
+}
+
+// Function to create a lookup of the failover providers of the configured chains by name, e.g. for the
+// dead-letter replays of any chain. The network config is read and each provider created on first use.
+function createChainProviders() {
+    const providers = new Map();
+    let chains = null;
+    return function getChainProvider(chainName) {
+        if (!providers.has(chainName)) {
+            chains = chains || loadConfig().chains;
+            const chain = chains.find((candidate) => candidate.name === chainName);
+            if (!chain) throw new Error(`Chain ${chainName} is not in the network config`);
+            providers.set(chainName, createChainProvider(chain));
+        }
+        return providers.get(chainName);
+    };
+}
+
+// Function to subscribe to the new blocks of a chain. Returns an emitter of 'block' events with the block number.
+// With `wsUrls` configured the blocks come from a WebSocket `newHeads` subscription that reconnects (rotating
+// through the URLs) with exponential backoff; while it is down, blocks come from polling `provider`.
+// On every (re)connection the current head is emitted at once, so the listeners backfill the blocks they missed.
+// `blocks.stop()` ends the subscription.
+function subscribeToBlocks(chain, provider) {
+    const blocks = new EventEmitter();
+    const log = logger.child({ chain: chain.name });
+    const forward = (blockNumber) => blocks.emit('block', blockNumber);
+
+    if (chain.wsUrls.length === 0) {
+        provider.on('block', forward);
+        blocks.stop = () => provider.off('block', forward);
+        return blocks;
+    }
+
+    let polling = false;
+    function setPolling(enabled) {
+        if (enabled === polling) return;
+        polling = enabled;
+        if (enabled) {
+            provider.on('block', forward);
+        } else {
+            provider.off('block', forward);
+        }
+    }
+
+    let attempt = 0;
+    let stopped = false;
+    let currentProvider = null;
+    let reconnectTimer = null;
+    function connect() {
+        const url = chain.wsUrls[attempt % chain.wsUrls.length];
+        const label = endpointLabel(url);
+        const wsProvider = new ethers.providers.WebSocketProvider(url);
+        const socket = wsProvider.websocket;
+        currentProvider = wsProvider;
+        let pingTimer = null;
+        let alive = true;
+
+        socket.on('open', () => {
+            attempt = 0;
+            recordWebSocketState(chain.name, true);
+            log.info('WebSocket connected', { endpoint: label });
+            setPolling(false);
+            wsProvider.on('block', forward);
+
+            // Catch up with the head now rather than at the next block
+            provider.getBlockNumber().then(forward, (err) => {
+                log.error('Error reading the head block after connecting', { reason: describeError(err) });
+            });
+
+            // A connection that stops answering pings is closed, which triggers the reconnection
+            pingTimer = setInterval(() => {
+                if (!alive) {
+                    socket.terminate();
+                    return;
+                }
+                alive = false;
+                socket.ping();
+            }, WS_PING_INTERVAL_MS);
+        });
+        socket.on('pong', () => {
+            alive = true;
+        });
+        socket.on('error', (err) => {
+            log.error('WebSocket error', { endpoint: label, reason: err.message });
+        });
+        socket.on('close', (code) => {
+            clearInterval(pingTimer);
+            releaseWebSocketProvider(wsProvider);
+            recordWebSocketState(chain.name, false);
+            if (stopped) return;
+            setPolling(true);
+
+            attempt += 1;
+            const delay = Math.min(1000 * 2 ** (attempt - 1), WS_RECONNECT_MAX_MS);
+            log.warn('WebSocket closed, polling over HTTP until it reconnects', { endpoint: label, code, reconnectInMs: delay });
+            reconnectTimer = setTimeout(connect, delay);
+        });
+    }
+
+    blocks.stop = () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        setPolling(false);
+        releaseWebSocketProvider(currentProvider);
+        currentProvider.websocket.terminate();
+    };
+
+    // Poll until the first connection is open
+    setPolling(true);
+    connect();
+    return blocks;
+}
+
+module.exports = { createChainProvider, createChainProviders, subscribeToBlocks };
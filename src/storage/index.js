@@ -0,0 +1,70 @@
+require('dotenv').config();
+const path = require('path');
+
+// Storage used by the indexer, the HTTP API and the CLI, chosen with STORAGE_BACKEND:
+//   supabase  the Supabase project from SUPABASE_URL / SUPABASE_ANON_KEY (default)
+//   local     an embedded store kept in STORAGE_FILE (default data/indexer.json, ':memory:' for none)
+//
+// Every backend implements the same functions on snake_case rows shaped like the Supabase tables:
+//   ping()
+//   insertTransaction(row) -> stored row, or null when (chain, tx hash, log index) is already stored
+//   findTransactions({ chainName, contractAddress, status, fromBlock, toBlock }) -> rows in log order
+//   updateTransactionStatus(id, fromStatus, toStatus) -> whether the row had `fromStatus`
+//   deleteTransaction(id) -> whether the row existed
+//   findLegacyTransactions({ chainName, fromBlock, toBlock }) -> the chain's rows stored without a log index, by id
+//   claimLegacyTransaction(row) -> whether a row stored without a log index (before events had an identity) with the
+//     same chain, tx hash, event and address was found; it gets the identity and columns of `row`, keeping its status
+//   flagTransaction(id, flags) sets the compliance flags of a transaction
+//   getUnenrichedTransactions(chainName, limit) -> the oldest rows of the chain without receipt fields that are due
+//     for an attempt (`enrich_next_attempt_at`) and not given up on (`enrich_failed_at`), with `enrich_attempts`
+//   enrichTransaction(id, fields) sets the receipt or failed attempt fields of a transaction, see src/enrichment.js
+//   getWalletTransactions(address, { chainName, eventName, limit, offset }) -> { rows, total }
+//   getConfirmedTransactions({ address, chainName, from, to }) -> rows
+//   getTransactionsConfirmedAfter({ confirmedAt, id }, limit) -> confirmed rows ordered by (`confirmed_at`, id)
+//     after the given ones; rows confirmed before `confirmed_at` was recorded are never returned
+//   getTransactionsByHash(transactionHash) -> rows
+//   getUnpricedTransactions(chainName, afterId, limit) -> the chain's confirmed native purchases without a USD price
+//     and an id above `afterId`, by id
+//   setTransactionPrice(id, nativeUsdPrice, depositAmountUsd) -> whether the row had no price yet and now has this one
+//   insertEventRow(table, row) -> stored row, or null when (chain, tx hash, log index) is already stored
+//   confirmEventRows(table, { chainName, contractAddress, toBlock }) -> number of pending rows confirmed
+//   deleteEventRows(table, { chainName, contractAddress, fromBlock }) -> number of rows deleted
+//   getDeposit(address), listDeposits(), upsertDeposits(rows)
+//   getChainDeposit(address, chainName), listChainDeposits(), upsertChainDeposits(rows)
+//   applyDepositChanges(address, chainName, { native, nativeUsd, usdt, purchased, claimed }) adds the decimal
+//     deltas to the wallet totals and, with a chain, to its chain balances, atomically
+//   getCheckpoint(chainName, contractAddress), saveCheckpoint(chainName, contractAddress, lastBlock)
+//   acquireLease(name, holder, expiresAt) -> whether `holder` now holds the lease (it was free, expired or its own)
+//   releaseLease(name, holder)
+//   insertWebhookDeliveries(rows), getDueWebhookDeliveries(limit), updateWebhookDelivery(id, update),
+//   listWebhookDeliveries(status, limit), getWebhookDelivery(id)
+// Addresses and hashes are passed in already normalized to lowercase.
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', '..', 'data', 'indexer.json');
+
+function createStorage(backend = process.env.STORAGE_BACKEND || 'supabase') {
+    if (backend === 'supabase') {
+        return require('./supabase').createSupabaseStorage();
+    }
+    if (backend === 'local') {
+        return require('./local').createLocalStorage(process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+    }
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected "supabase" or "local"`);
+}
+
+// The storage is created on first use, so commands that never touch it (usage, dead-letter listing)
+// run without the backend's settings
+let instance = null;
+
+function getStorage() {
+    if (!instance) instance = createStorage();
+    return instance;
+}
+
+const storage = new Proxy({}, {
+    get(target, property) {
+        return getStorage()[property];
+    },
+});
+
+module.exports = { storage, getStorage, createStorage };
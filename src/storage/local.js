@@ -0,0 +1,525 @@
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./localMigrations');
+const { addAmounts, negateAmount } = require('../amounts');
+const { logger } = require('../logger');
+const { acquireFileLock } = require('../fileLock');
+
+// Embedded implementation of the storage interface, see src/storage/index.js.
+// All tables are kept in memory, with indexes on the columns the indexer looks rows up by, and written to a
+// single JSON file at most every STORAGE_FLUSH_MS and when the process exits, which makes the indexer runnable
+// without a Supabase project (local development, replays, tests). The whole database is written at once, so the
+// file always holds rows and checkpoints that belong together; a crash loses the writes of the last interval,
+// which are indexed again from the checkpoint. With the file set to ':memory:' nothing is written to disk.
+// Only one process writes the file, the one holding its lock file (src/fileLock.js), usually the indexer:
+// a CLI command run next to it could read the file but its writes would be lost at the indexer's next write,
+// so they are refused.
+
+// Helper function to compare two values the way the Supabase `order` does
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+function sortRows(rows, ...columns) {
+    return rows.sort((a, b) => {
+        for (const [column, direction] of columns) {
+            const result = compareValues(a[column], b[column]);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+}
+
+const FLUSH_DELAY_MS = Number(process.env.STORAGE_FLUSH_MS) || 200;
+
+function clone(row) {
+    return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+// Helper function to build the index key of a row from the given columns
+function rowKey(row, columns) {
+    return JSON.stringify(columns.map((column) => row[column] ?? null));
+}
+
+// Helper function to open the storage file and bring its schema up to date
+function openDatabase(file) {
+    let db = { schemaVersion: 0 };
+    if (file !== ':memory:' && fs.existsSync(file)) {
+        db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const pending = migrations.filter((migration) => migration.version > db.schemaVersion);
+    for (const migration of pending) {
+        migration.up(db);
+        db.schemaVersion = migration.version;
+        logger.info('Local storage migrated', { version: migration.version, migration: migration.name });
+    }
+    return { db, migrated: pending.length > 0 };
+}
+
+function createLocalStorage(file) {
+    const lock = file === ':memory:' ? { acquired: true } : acquireFileLock(file);
+    if (!lock.acquired) {
+        logger.warn('Local storage is in use by another process, opening it read-only', { file, pid: lock.pid });
+    }
+    const { db, migrated } = openDatabase(file);
+    const tables = db.tables;
+    let flushTimer = null;
+
+    // Writes go to a temporary file first so a crash never leaves a half-written database
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (file === ':memory:') return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(db));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    // Helper function to schedule a write of the file after a change. Changes are batched into one write.
+    function persist() {
+        if (file === ':memory:') return;
+        if (!lock.acquired) {
+            throw new Error(`Local storage ${file} is in use by process ${lock.pid} (the running indexer), stop it first`);
+        }
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+            flushTimer.unref();
+        }
+    }
+
+    process.on('exit', () => {
+        if (flushTimer) flush();
+    });
+
+    // Indexes per table, built on first use: unique keys (row lookups) and groups (rows sharing column values).
+    // Rows are only added, removed or have their indexed columns changed through the helpers below.
+    const keyIndexes = new Map();
+    const groupIndexes = new Map();
+
+    function indexesOf(registry, table) {
+        if (!registry.has(table)) registry.set(table, new Map());
+        return registry.get(table);
+    }
+
+    function findByKey(table, columns, values) {
+        const indexes = indexesOf(keyIndexes, table);
+        const name = columns.join(',');
+        if (!indexes.has(name)) {
+            const rows = new Map();
+            for (const row of tables[table] || []) {
+                const key = rowKey(row, columns);
+                if (!rows.has(key)) rows.set(key, row);
+            }
+            indexes.set(name, { columns, rows });
+        }
+        return indexes.get(name).rows.get(rowKey(values, columns)) || null;
+    }
+
+    function findGroup(table, columns, values) {
+        const indexes = indexesOf(groupIndexes, table);
+        const name = columns.join(',');
+        if (!indexes.has(name)) {
+            const groups = new Map();
+            for (const row of tables[table] || []) addToGroup(groups, rowKey(row, columns), row);
+            indexes.set(name, { columns, groups });
+        }
+        return [...(indexes.get(name).groups.get(rowKey(values, columns)) || [])];
+    }
+
+    function addToGroup(groups, key, row) {
+        if (!groups.has(key)) groups.set(key, new Set());
+        groups.get(key).add(row);
+    }
+
+    function removeFromGroup(groups, key, row) {
+        const group = groups.get(key);
+        if (!group) return;
+        group.delete(row);
+        if (group.size === 0) groups.delete(key);
+    }
+
+    function addRow(table, row) {
+        tables[table] = tables[table] || [];
+        tables[table].push(row);
+        for (const { columns, rows } of indexesOf(keyIndexes, table).values()) {
+            const key = rowKey(row, columns);
+            if (!rows.has(key)) rows.set(key, row);
+        }
+        for (const { columns, groups } of indexesOf(groupIndexes, table).values()) {
+            addToGroup(groups, rowKey(row, columns), row);
+        }
+    }
+
+    // Helper function to change columns of a row that indexes may be built on
+    function updateRow(table, row, changes) {
+        const changed = Object.keys(changes);
+        const groups = [...indexesOf(groupIndexes, table).values()].filter((index) => index.columns.some((column) => changed.includes(column)));
+        for (const index of groups) removeFromGroup(index.groups, rowKey(row, index.columns), row);
+        Object.assign(row, changes);
+        for (const index of groups) addToGroup(index.groups, rowKey(row, index.columns), row);
+
+        // Rows sharing a key (legacy rows without a log index) make unique keys hard to move, they are rebuilt
+        for (const [name, index] of indexesOf(keyIndexes, table)) {
+            if (index.columns.some((column) => changed.includes(column))) indexesOf(keyIndexes, table).delete(name);
+        }
+    }
+
+    function removeRows(table, removed) {
+        if (removed.length === 0) return;
+        const set = new Set(removed);
+        tables[table] = tables[table].filter((row) => !set.has(row));
+        indexesOf(keyIndexes, table).clear();
+        for (const { columns, groups } of indexesOf(groupIndexes, table).values()) {
+            for (const row of removed) removeFromGroup(groups, rowKey(row, columns), row);
+        }
+    }
+
+    function nextId(table) {
+        db.sequences[table] = (db.sequences[table] || 0) + 1;
+        return db.sequences[table];
+    }
+
+    const IDENTITY = ['chain_name', 'transaction_hash', 'log_index'];
+    const CONTRACT = ['chain_name', 'contract_address'];
+    const CONTRACT_STATUS = ['chain_name', 'contract_address', 'status'];
+
+    // Helper function to insert or update rows identified by the `key` columns
+    function upsertRows(table, rows, key) {
+        for (const row of rows) {
+            const existing = findByKey(table, key, row);
+            if (existing) {
+                Object.assign(existing, clone(row));
+            } else {
+                addRow(table, clone(row));
+            }
+        }
+        persist();
+    }
+
+    // Helper function to read the rows of a chain's contract, of one status when given, within a block range
+    function contractRows(table, { chainName, contractAddress, status, fromBlock, toBlock }) {
+        const rows = status
+            ? findGroup(table, CONTRACT_STATUS, { chain_name: chainName, contract_address: contractAddress, status })
+            : findGroup(table, CONTRACT, { chain_name: chainName, contract_address: contractAddress });
+        return rows.filter((row) => {
+            return (fromBlock === undefined || row.block_number >= fromBlock)
+                && (toBlock === undefined || row.block_number <= toBlock);
+        });
+    }
+
+    function findTransaction(id) {
+        return findByKey('user_transactions', ['id'], { id });
+    }
+
+    if (migrated && lock.acquired) flush();
+
+    return {
+        name: 'local',
+
+        async ping() {},
+
+        // Writes the pending changes to the file now instead of at the next interval
+        flush() {
+            if (flushTimer) flush();
+        },
+
+        // Transactions
+
+        async insertTransaction(row) {
+            if (findByKey('user_transactions', IDENTITY, row)) return null;
+
+            const stored = {
+                id: nextId('user_transactions'),
+                ...clone(row),
+                block_timestamp: row.block_timestamp ? new Date(row.block_timestamp).toISOString() : null,
+                created_at: new Date().toISOString(),
+                confirmed_at: row.status === 'confirmed' ? new Date().toISOString() : null,
+            };
+            addRow('user_transactions', stored);
+            persist();
+            return clone(stored);
+        },
+
+        async findTransactions(filters) {
+            const rows = contractRows('user_transactions', filters);
+            return sortRows(rows.map(clone), ['block_number', 'asc'], ['log_index', 'asc']);
+        },
+
+        async updateTransactionStatus(id, fromStatus, toStatus) {
+            const row = findTransaction(id);
+            if (!row || row.status !== fromStatus) return false;
+            updateRow('user_transactions', row, {
+                status: toStatus,
+                ...(toStatus === 'confirmed' ? { confirmed_at: new Date().toISOString() } : {}),
+            });
+            persist();
+            return true;
+        },
+
+        async deleteTransaction(id) {
+            const row = findTransaction(id);
+            if (!row) return false;
+            removeRows('user_transactions', [row]);
+            persist();
+            return true;
+        },
+
+        async findLegacyTransactions({ chainName, fromBlock, toBlock }) {
+            const rows = findGroup('user_transactions', ['chain_name'], { chain_name: chainName }).filter((row) => {
+                return (row.log_index === null || row.log_index === undefined)
+                    && row.block_number >= fromBlock
+                    && row.block_number <= toBlock;
+            });
+            return sortRows(rows.map(clone), ['id', 'asc']);
+        },
+
+        async claimLegacyTransaction(row) {
+            const legacy = findGroup('user_transactions', ['chain_name', 'transaction_hash'], row)
+                .sort((a, b) => a.id - b.id)
+                .find((candidate) => {
+                    return (candidate.log_index === null || candidate.log_index === undefined)
+                        && candidate.event_name === row.event_name
+                        && candidate.address === row.address;
+                });
+            if (!legacy) return false;
+
+            // Legacy rows are counted in the balances already, they stay confirmed
+            const { status, compliance_flags: complianceFlags, ...identity } = row;
+            updateRow('user_transactions', legacy, {
+                ...clone(identity),
+                block_timestamp: row.block_timestamp ? new Date(row.block_timestamp).toISOString() : legacy.block_timestamp,
+            });
+            persist();
+            return true;
+        },
+
+        async flagTransaction(id, flags) {
+            const row = findTransaction(id);
+            if (!row) return;
+            row.compliance_flags = [...flags];
+            persist();
+        },
+
+        async getUnenrichedTransactions(chainName, limit) {
+            const now = new Date().toISOString();
+            const rows = tables.user_transactions.filter((row) => {
+                return row.chain_name === chainName
+                    && !row.enriched_at
+                    && !row.enrich_failed_at
+                    && (!row.enrich_next_attempt_at || row.enrich_next_attempt_at <= now);
+            });
+            return sortRows(rows, ['id', 'asc']).slice(0, limit).map((row) => ({ enrich_attempts: 0, ...clone(row) }));
+        },
+
+        async enrichTransaction(id, fields) {
+            const row = findTransaction(id);
+            if (!row) return;
+            Object.assign(row, clone(fields));
+            persist();
+        },
+
+        async getWalletTransactions(address, { chainName, eventName, limit, offset }) {
+            const rows = findGroup('user_transactions', ['address'], { address }).filter((row) => {
+                return (!chainName || row.chain_name === chainName)
+                    && (!eventName || row.event_name === eventName);
+            });
+            sortRows(rows, ['block_number', 'desc'], ['log_index', 'desc']);
+            return { rows: rows.slice(offset, offset + limit).map(clone), total: rows.length };
+        },
+
+        async getConfirmedTransactions({ address, chainName, from, to }) {
+            const rows = address ? findGroup('user_transactions', ['address'], { address }) : tables.user_transactions;
+            return rows.filter((row) => {
+                const timestamp = Date.parse(row.block_timestamp);
+                return row.status === 'confirmed'
+                    && (!chainName || row.chain_name === chainName)
+                    && (!from || timestamp >= from.getTime())
+                    && (!to || timestamp < to.getTime());
+            }).map(clone);
+        },
+
+        async getTransactionsConfirmedAfter({ confirmedAt, id }, limit) {
+            const after = new Date(confirmedAt).toISOString();
+            const rows = tables.user_transactions.filter((row) => {
+                return row.status === 'confirmed'
+                    && row.confirmed_at
+                    && (row.confirmed_at > after || (row.confirmed_at === after && row.id > id));
+            });
+            return sortRows(rows, ['confirmed_at', 'asc'], ['id', 'asc']).slice(0, limit).map(clone);
+        },
+
+        async getUnpricedTransactions(chainName, afterId, limit) {
+            const rows = tables.user_transactions.filter((row) => {
+                return row.chain_name === chainName
+                    && row.payment_type === 'native'
+                    && row.status === 'confirmed'
+                    && (row.native_usd_price === null || row.native_usd_price === undefined)
+                    && row.id > afterId;
+            });
+            return sortRows(rows, ['id', 'asc']).slice(0, limit).map(clone);
+        },
+
+        async setTransactionPrice(id, nativeUsdPrice, depositAmountUsd) {
+            const row = findTransaction(id);
+            if (!row || (row.native_usd_price !== null && row.native_usd_price !== undefined)) return false;
+            row.native_usd_price = nativeUsdPrice;
+            row.deposit_amount_usd = depositAmountUsd;
+            persist();
+            return true;
+        },
+
+        async getTransactionsByHash(transactionHash) {
+            const rows = findGroup('user_transactions', ['transaction_hash'], { transaction_hash: transactionHash });
+            return sortRows(rows.map(clone), ['log_index', 'asc']);
+        },
+
+        // Rows of the other event tables, created on first use
+
+        async insertEventRow(table, row) {
+            if (findByKey(table, IDENTITY, row)) return null;
+
+            const stored = { id: nextId(table), ...clone(row), created_at: new Date().toISOString() };
+            addRow(table, stored);
+            persist();
+            return clone(stored);
+        },
+
+        async confirmEventRows(table, { chainName, contractAddress, toBlock }) {
+            const rows = contractRows(table, { chainName, contractAddress, status: 'pending', toBlock });
+            if (rows.length === 0) return 0;
+            rows.forEach((row) => updateRow(table, row, { status: 'confirmed' }));
+            persist();
+            return rows.length;
+        },
+
+        async deleteEventRows(table, { chainName, contractAddress, fromBlock }) {
+            const rows = contractRows(table, { chainName, contractAddress, fromBlock });
+            if (rows.length === 0) return 0;
+            removeRows(table, rows);
+            persist();
+            return rows.length;
+        },
+
+        // Deposit aggregates
+
+        async getDeposit(address) {
+            return clone(findByKey('user_deposits', ['address'], { address }));
+        },
+
+        async listDeposits() {
+            return sortRows(tables.user_deposits.map(clone), ['address', 'asc']);
+        },
+
+        async upsertDeposits(rows) {
+            upsertRows('user_deposits', rows, ['address']);
+        },
+
+        async applyDepositChanges(address, chainName, changes) {
+            // Read and written without awaiting in between, so concurrent callers never lose an update
+            const lastUpdated = new Date().toISOString();
+            const targets = [['user_deposits', ['address'], { address }]];
+            if (chainName) targets.push(['user_chain_deposits', ['address', 'chain_name'], { address, chain_name: chainName }]);
+
+            for (const [table, columns, key] of targets) {
+                let balance = findByKey(table, columns, key);
+                if (!balance) {
+                    balance = { ...key };
+                    addRow(table, balance);
+                }
+                balance.total_native_deposit = addAmounts(balance.total_native_deposit, changes.native);
+                balance.total_native_deposit_usd = addAmounts(balance.total_native_deposit_usd, changes.nativeUsd);
+                balance.total_usdt_deposit = addAmounts(balance.total_usdt_deposit, changes.usdt);
+                balance.total_token_amount = addAmounts(balance.total_token_amount, changes.purchased);
+                balance.total_tokens_claimed = addAmounts(balance.total_tokens_claimed, changes.claimed);
+                balance.claimable_tokens = addAmounts(balance.total_token_amount, negateAmount(balance.total_tokens_claimed));
+                balance.last_updated = lastUpdated;
+            }
+            persist();
+        },
+
+        async getChainDeposit(address, chainName) {
+            return clone(findByKey('user_chain_deposits', ['address', 'chain_name'], { address, chain_name: chainName }));
+        },
+
+        async listChainDeposits() {
+            return sortRows(tables.user_chain_deposits.map(clone), ['address', 'asc'], ['chain_name', 'asc']);
+        },
+
+        async upsertChainDeposits(rows) {
+            upsertRows('user_chain_deposits', rows, ['address', 'chain_name']);
+        },
+
+        // Checkpoints
+
+        async getCheckpoint(chainName, contractAddress) {
+            const row = findByKey('indexer_checkpoints', CONTRACT, { chain_name: chainName, contract_address: contractAddress });
+            return row ? row.last_block : null;
+        },
+
+        async saveCheckpoint(chainName, contractAddress, lastBlock) {
+            upsertRows('indexer_checkpoints', [{
+                chain_name: chainName,
+                contract_address: contractAddress,
+                last_block: lastBlock,
+                updated_at: new Date().toISOString(),
+            }], CONTRACT);
+        },
+
+        // Leases. The file is not shared between processes, so a local lease only coordinates one process.
+
+        async acquireLease(name, holder, expiresAt) {
+            const now = new Date().toISOString();
+            const existing = findByKey('indexer_leases', ['name'], { name });
+            if (existing && existing.holder !== holder && existing.expires_at >= now) return false;
+
+            upsertRows('indexer_leases', [{ name, holder, expires_at: expiresAt.toISOString(), updated_at: now }], ['name']);
+            return true;
+        },
+
+        async releaseLease(name, holder) {
+            const lease = findByKey('indexer_leases', ['name'], { name });
+            if (!lease || lease.holder !== holder) return;
+            removeRows('indexer_leases', [lease]);
+            persist();
+        },
+
+        // Webhook deliveries
+
+        async insertWebhookDeliveries(rows) {
+            for (const row of rows) {
+                if (findByKey('webhook_deliveries', ['subscription', ...IDENTITY], row)) continue;
+                addRow('webhook_deliveries', { id: nextId('webhook_deliveries'), ...clone(row), created_at: new Date().toISOString() });
+            }
+            persist();
+        },
+
+        async getDueWebhookDeliveries(limit) {
+            const now = Date.now();
+            const rows = findGroup('webhook_deliveries', ['status'], { status: 'pending' }).filter((row) => Date.parse(row.next_attempt_at) <= now);
+            return sortRows(rows.map(clone), ['next_attempt_at', 'asc']).slice(0, limit);
+        },
+
+        async updateWebhookDelivery(id, update) {
+            const row = findByKey('webhook_deliveries', ['id'], { id: Number(id) });
+            if (!row) return false;
+            updateRow('webhook_deliveries', row, clone(update));
+            persist();
+            return true;
+        },
+
+        async listWebhookDeliveries(status, limit) {
+            const rows = status ? findGroup('webhook_deliveries', ['status'], { status }) : tables.webhook_deliveries;
+            return sortRows(rows.map(clone), ['id', 'desc']).slice(0, limit);
+        },
+
+        async getWebhookDelivery(id) {
+            return clone(findByKey('webhook_deliveries', ['id'], { id: Number(id) }));
+        },
+    };
+}
+
+module.exports = { createLocalStorage };
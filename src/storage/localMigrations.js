@@ -0,0 +1,89 @@
+// Schema migrations of the local storage file, applied in order when the file is opened.
+// The file records the last applied version in `schemaVersion`; never edit a released migration,
+// add a new one instead (the Supabase counterparts live in supabase/migrations).
+const { addAmounts, negateAmount } = require('../amounts');
+
+module.exports = [
+    {
+        version: 1,
+        name: 'create tables',
+        up(db) {
+            db.tables = {
+                user_transactions: [],
+                user_deposits: [],
+                indexer_checkpoints: [],
+                webhook_deliveries: [],
+            };
+            db.sequences = {
+                user_transactions: 0,
+                webhook_deliveries: 0,
+            };
+        },
+    },
+    {
+        version: 2,
+        name: 'token balances',
+        up(db) {
+            // Claims used to be added to total_token_amount, which now only counts purchased tokens
+            const confirmed = db.tables.user_transactions.filter((row) => row.status === 'confirmed');
+            const sums = (rows, paymentTypes) => {
+                return addAmounts(...rows.filter((row) => paymentTypes.includes(row.payment_type)).map((row) => row.token_amount));
+            };
+
+            for (const deposit of db.tables.user_deposits) {
+                const claimed = sums(confirmed.filter((row) => row.address === deposit.address), ['claim']);
+                deposit.total_token_amount = addAmounts(deposit.total_token_amount, negateAmount(claimed));
+                deposit.total_tokens_claimed = claimed;
+                deposit.claimable_tokens = addAmounts(deposit.total_token_amount, negateAmount(claimed));
+            }
+
+            const groups = new Map();
+            for (const row of confirmed) {
+                const key = `${row.address}:${row.chain_name}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+
+            db.tables.user_chain_deposits = [...groups.values()].map((rows) => {
+                const purchased = sums(rows, ['native', 'usdt']);
+                const claimed = sums(rows, ['claim']);
+                return {
+                    address: rows[0].address,
+                    chain_name: rows[0].chain_name,
+                    total_native_deposit: addAmounts(...rows.filter((row) => row.payment_type === 'native').map((row) => row.deposit_amount)),
+                    total_usdt_deposit: addAmounts(...rows.filter((row) => row.payment_type === 'usdt').map((row) => row.deposit_amount)),
+                    total_token_amount: purchased,
+                    total_tokens_claimed: claimed,
+                    claimable_tokens: addAmounts(purchased, negateAmount(claimed)),
+                    last_updated: new Date().toISOString(),
+                };
+            });
+        },
+    },
+    {
+        version: 3,
+        name: 'native usd values',
+        up(db) {
+            // Purchases stored before have no USD value
+            for (const deposit of [...db.tables.user_deposits, ...db.tables.user_chain_deposits]) {
+                deposit.total_native_deposit_usd = '0';
+            }
+        },
+    },
+    {
+        version: 4,
+        name: 'compliance flags',
+        up(db) {
+            for (const row of db.tables.user_transactions) {
+                row.compliance_flags = [];
+            }
+        },
+    },
+    {
+        version: 5,
+        name: 'leases',
+        up(db) {
+            db.tables.indexer_leases = [];
+        },
+    },
+];
@@ -0,0 +1,555 @@
+const { supabase } = require('../supabase');
+
+// Supabase implementation of the storage interface, see src/storage/index.js.
+// Amount columns are numeric in Postgres and would come back as JSON numbers, losing digits,
+// so they are always selected as text.
+const TRANSACTION_COLUMNS = [
+    'id',
+    'address',
+    'transaction_hash',
+    'chain_name',
+    'contract_address',
+    'event_name',
+    'payment_type',
+    'deposit_amount::text',
+    'token_amount::text',
+    'deposit_amount_raw::text',
+    'token_amount_raw::text',
+    'deposit_amount_usd::text',
+    'native_usd_price::text',
+    'block_number',
+    'block_hash',
+    'block_timestamp',
+    'log_index',
+    'status',
+    'compliance_flags',
+    'tx_from',
+    'tx_to',
+    'tx_value::text',
+    'tx_status',
+    'gas_used::text',
+    'effective_gas_price::text',
+    'tx_fee::text',
+    'payment_transfer',
+    'enriched_at',
+    'confirmed_at',
+].join(',');
+
+const BALANCE_COLUMNS = [
+    'total_native_deposit::text',
+    'total_native_deposit_usd::text',
+    'total_usdt_deposit::text',
+    'total_token_amount::text',
+    'total_tokens_claimed::text',
+    'claimable_tokens::text',
+    'last_updated',
+];
+
+const DEPOSIT_COLUMNS = ['address', ...BALANCE_COLUMNS].join(',');
+
+const CHAIN_DEPOSIT_COLUMNS = ['address', 'chain_name', ...BALANCE_COLUMNS].join(',');
+
+// Supabase caps every response at 1000 rows
+const PAGE_SIZE = 1000;
+
+// Helper function to read every row of a query page by page. `buildQuery` returns a fresh filtered query.
+async function readAllPages(buildQuery) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
+
+function createSupabaseStorage() {
+    return {
+        name: 'supabase',
+
+        async ping() {
+            const { error } = await supabase
+                .from('user_transactions')
+                .select('id')
+                .limit(1);
+
+            if (error) throw error;
+        },
+
+        // Transactions
+
+        async insertTransaction(row) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .upsert([row], {
+                    onConflict: 'chain_name,transaction_hash,log_index',
+                    ignoreDuplicates: true
+                })
+                .select(TRANSACTION_COLUMNS);
+
+            if (error) throw error;
+            return data[0] || null;
+        },
+
+        async findTransactions({ chainName, contractAddress, status, fromBlock, toBlock }) {
+            return readAllPages(() => {
+                let query = supabase
+                    .from('user_transactions')
+                    .select(TRANSACTION_COLUMNS)
+                    .eq('chain_name', chainName)
+                    .eq('contract_address', contractAddress);
+
+                if (status) query = query.eq('status', status);
+                if (fromBlock !== undefined) query = query.gte('block_number', fromBlock);
+                if (toBlock !== undefined) query = query.lte('block_number', toBlock);
+
+                return query
+                    .order('block_number', { ascending: true })
+                    .order('log_index', { ascending: true });
+            });
+        },
+
+        async updateTransactionStatus(id, fromStatus, toStatus) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .update({ status: toStatus })
+                .eq('id', id)
+                .eq('status', fromStatus)
+                .select('id');
+
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async deleteTransaction(id) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .delete()
+                .eq('id', id)
+                .select('id');
+
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async findLegacyTransactions({ chainName, fromBlock, toBlock }) {
+            return readAllPages(() => supabase
+                .from('user_transactions')
+                .select(TRANSACTION_COLUMNS)
+                .eq('chain_name', chainName)
+                .is('log_index', null)
+                .gte('block_number', fromBlock)
+                .lte('block_number', toBlock)
+                .order('id', { ascending: true }));
+        },
+
+        async claimLegacyTransaction(row) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .select('id')
+                .eq('chain_name', row.chain_name)
+                .eq('transaction_hash', row.transaction_hash)
+                .eq('event_name', row.event_name)
+                .eq('address', row.address)
+                .is('log_index', null)
+                .order('id', { ascending: true })
+                .limit(1);
+
+            if (error) throw error;
+            if (data.length === 0) return false;
+
+            // Legacy rows are counted in the balances already, they stay confirmed
+            const { status, compliance_flags: complianceFlags, ...identity } = row;
+            const { data: updated, error: updateError } = await supabase
+                .from('user_transactions')
+                .update(identity)
+                .eq('id', data[0].id)
+                .is('log_index', null)
+                .select('id');
+
+            if (updateError) throw updateError;
+            return updated.length > 0;
+        },
+
+        async flagTransaction(id, flags) {
+            const { error } = await supabase
+                .from('user_transactions')
+                .update({ compliance_flags: flags })
+                .eq('id', id);
+
+            if (error) throw error;
+        },
+
+        async getUnenrichedTransactions(chainName, limit) {
+            const now = new Date().toISOString();
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .select(`${TRANSACTION_COLUMNS},enrich_attempts`)
+                .eq('chain_name', chainName)
+                .is('enriched_at', null)
+                .is('enrich_failed_at', null)
+                .or(`enrich_next_attempt_at.is.null,enrich_next_attempt_at.lte.${now}`)
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+            return data;
+        },
+
+        async enrichTransaction(id, fields) {
+            const { error } = await supabase
+                .from('user_transactions')
+                .update(fields)
+                .eq('id', id);
+
+            if (error) throw error;
+        },
+
+        async getWalletTransactions(address, { chainName, eventName, limit, offset }) {
+            let query = supabase
+                .from('user_transactions')
+                .select(TRANSACTION_COLUMNS, { count: 'exact' })
+                .eq('address', address);
+
+            if (chainName) query = query.eq('chain_name', chainName);
+            if (eventName) query = query.eq('event_name', eventName);
+
+            const { data, count, error } = await query
+                .order('block_number', { ascending: false })
+                .order('log_index', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (error) throw error;
+            return { rows: data, total: count };
+        },
+
+        async getConfirmedTransactions({ address, chainName, from, to }) {
+            return readAllPages(() => {
+                let query = supabase
+                    .from('user_transactions')
+                    .select(TRANSACTION_COLUMNS)
+                    .eq('status', 'confirmed');
+
+                if (address) query = query.eq('address', address);
+                if (chainName) query = query.eq('chain_name', chainName);
+                if (from) query = query.gte('block_timestamp', from.toISOString());
+                if (to) query = query.lt('block_timestamp', to.toISOString());
+
+                return query.order('id', { ascending: true });
+            });
+        },
+
+        async getTransactionsConfirmedAfter({ confirmedAt, id }, limit) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .select(TRANSACTION_COLUMNS)
+                .eq('status', 'confirmed')
+                .or(`confirmed_at.gt."${confirmedAt}",and(confirmed_at.eq."${confirmedAt}",id.gt.${id})`)
+                .order('confirmed_at', { ascending: true })
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+            return data;
+        },
+
+        async getUnpricedTransactions(chainName, afterId, limit) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .select(TRANSACTION_COLUMNS)
+                .eq('chain_name', chainName)
+                .eq('payment_type', 'native')
+                .eq('status', 'confirmed')
+                .is('native_usd_price', null)
+                .gt('id', afterId)
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+            return data;
+        },
+
+        async setTransactionPrice(id, nativeUsdPrice, depositAmountUsd) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .update({ native_usd_price: nativeUsdPrice, deposit_amount_usd: depositAmountUsd })
+                .eq('id', id)
+                .is('native_usd_price', null)
+                .select('id');
+
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async getTransactionsByHash(transactionHash) {
+            const { data, error } = await supabase
+                .from('user_transactions')
+                .select(TRANSACTION_COLUMNS)
+                .eq('transaction_hash', transactionHash)
+                .order('log_index', { ascending: true });
+
+            if (error) throw error;
+            return data;
+        },
+
+        // Rows of the other event tables
+
+        async insertEventRow(table, row) {
+            const { data, error } = await supabase
+                .from(table)
+                .upsert([row], {
+                    onConflict: 'chain_name,transaction_hash,log_index',
+                    ignoreDuplicates: true
+                })
+                .select('id');
+
+            if (error) throw error;
+            return data[0] || null;
+        },
+
+        async confirmEventRows(table, { chainName, contractAddress, toBlock }) {
+            const { data, error } = await supabase
+                .from(table)
+                .update({ status: 'confirmed' })
+                .eq('chain_name', chainName)
+                .eq('contract_address', contractAddress)
+                .eq('status', 'pending')
+                .lte('block_number', toBlock)
+                .select('id');
+
+            if (error) throw error;
+            return data.length;
+        },
+
+        async deleteEventRows(table, { chainName, contractAddress, fromBlock }) {
+            const { data, error } = await supabase
+                .from(table)
+                .delete()
+                .eq('chain_name', chainName)
+                .eq('contract_address', contractAddress)
+                .gte('block_number', fromBlock)
+                .select('id');
+
+            if (error) throw error;
+            return data.length;
+        },
+
+        // Deposit aggregates
+
+        async getDeposit(address) {
+            const { data, error } = await supabase
+                .from('user_deposits')
+                .select(DEPOSIT_COLUMNS)
+                .eq('address', address)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        },
+
+        async listDeposits() {
+            return readAllPages(() => {
+                return supabase
+                    .from('user_deposits')
+                    .select(DEPOSIT_COLUMNS)
+                    .order('address', { ascending: true });
+            });
+        },
+
+        async upsertDeposits(rows) {
+            for (let offset = 0; offset < rows.length; offset += PAGE_SIZE) {
+                const { error } = await supabase
+                    .from('user_deposits')
+                    .upsert(rows.slice(offset, offset + PAGE_SIZE), {
+                        onConflict: 'address'
+                    });
+
+                if (error) throw error;
+            }
+        },
+
+        async applyDepositChanges(address, chainName, changes) {
+            // Incremented in the database (supabase/migrations/20261019000012_atomic_deposit_updates.sql),
+            // a read-modify-write here would lose the updates of concurrent listeners
+            const { error } = await supabase.rpc('apply_deposit_changes', {
+                p_address: address,
+                p_chain_name: chainName || null,
+                p_native: changes.native,
+                p_native_usd: changes.nativeUsd,
+                p_usdt: changes.usdt,
+                p_purchased: changes.purchased,
+                p_claimed: changes.claimed,
+            });
+
+            if (error) throw error;
+        },
+
+        async getChainDeposit(address, chainName) {
+            const { data, error } = await supabase
+                .from('user_chain_deposits')
+                .select(CHAIN_DEPOSIT_COLUMNS)
+                .eq('address', address)
+                .eq('chain_name', chainName)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        },
+
+        async listChainDeposits() {
+            return readAllPages(() => {
+                return supabase
+                    .from('user_chain_deposits')
+                    .select(CHAIN_DEPOSIT_COLUMNS)
+                    .order('address', { ascending: true })
+                    .order('chain_name', { ascending: true });
+            });
+        },
+
+        async upsertChainDeposits(rows) {
+            for (let offset = 0; offset < rows.length; offset += PAGE_SIZE) {
+                const { error } = await supabase
+                    .from('user_chain_deposits')
+                    .upsert(rows.slice(offset, offset + PAGE_SIZE), {
+                        onConflict: 'address,chain_name'
+                    });
+
+                if (error) throw error;
+            }
+        },
+
+        // Checkpoints
+
+        async getCheckpoint(chainName, contractAddress) {
+            const { data, error } = await supabase
+                .from('indexer_checkpoints')
+                .select('last_block')
+                .eq('chain_name', chainName)
+                .eq('contract_address', contractAddress)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data ? Number(data.last_block) : null;
+        },
+
+        async saveCheckpoint(chainName, contractAddress, lastBlock) {
+            const { error } = await supabase
+                .from('indexer_checkpoints')
+                .upsert({
+                    chain_name: chainName,
+                    contract_address: contractAddress,
+                    last_block: lastBlock,
+                    updated_at: new Date().toISOString(),
+                }, {
+                    onConflict: 'chain_name,contract_address'
+                });
+
+            if (error) throw error;
+        },
+
+        // Leases
+
+        async acquireLease(name, holder, expiresAt) {
+            const now = new Date().toISOString();
+            const lease = { name, holder, expires_at: expiresAt.toISOString(), updated_at: now };
+
+            // A lease nobody holds yet is created...
+            const { data: created, error: createError } = await supabase
+                .from('indexer_leases')
+                .upsert([lease], {
+                    onConflict: 'name',
+                    ignoreDuplicates: true
+                })
+                .select('name');
+
+            if (createError) throw createError;
+            if (created.length > 0) return true;
+
+            // ...otherwise it is taken over in a single conditional update, when it is ours or has expired
+            const { data, error } = await supabase
+                .from('indexer_leases')
+                .update(lease)
+                .eq('name', name)
+                .or(`holder.eq."${holder}",expires_at.lt."${now}"`)
+                .select('name');
+
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async releaseLease(name, holder) {
+            const { error } = await supabase
+                .from('indexer_leases')
+                .delete()
+                .eq('name', name)
+                .eq('holder', holder);
+
+            if (error) throw error;
+        },
+
+        // Webhook deliveries
+
+        async insertWebhookDeliveries(rows) {
+            const { error } = await supabase
+                .from('webhook_deliveries')
+                .upsert(rows, {
+                    onConflict: 'subscription,chain_name,transaction_hash,log_index',
+                    ignoreDuplicates: true
+                });
+
+            if (error) throw error;
+        },
+
+        async getDueWebhookDeliveries(limit) {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', new Date().toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+            return data;
+        },
+
+        async updateWebhookDelivery(id, update) {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .update(update)
+                .eq('id', id)
+                .select('id');
+
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async listWebhookDeliveries(status, limit) {
+            let query = supabase
+                .from('webhook_deliveries')
+                .select('*');
+
+            if (status) query = query.eq('status', status);
+
+            const { data, error } = await query
+                .order('id', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            return data;
+        },
+
+        async getWebhookDelivery(id) {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        },
+    };
+}
+
+module.exports = { createSupabaseStorage };
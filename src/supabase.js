@@ -0,0 +1,18 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase connection
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY,
+    {
+        auth: {
+            persistSession: false
+        },
+        db: {
+            schema: 'public'
+        }
+    }
+);
+
+module.exports = { supabase };
@@ -0,0 +1,29 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const erc20ABI = [
+    "function decimals() view returns (uint8)"
+];
+
+// Helper function to resolve the decimals of every amount type on a chain: `native` is the chain currency,
+// `usdt` the stablecoin accepted by the contract and `token` the presale token.
+// Decimals come from the chain's `tokens` entry in the network config; tokens configured with only
+// an address are read from their ERC-20 `decimals()`.
+async function resolveTokenDecimals(provider, chainName, tokens) {
+    const decimals = {};
+
+    for (const [symbol, token] of Object.entries(tokens)) {
+        if (token.decimals !== undefined) {
+            decimals[symbol] = token.decimals;
+            continue;
+        }
+
+        const erc20 = new ethers.Contract(token.address, erc20ABI, provider);
+        decimals[symbol] = await erc20.decimals();
+        logger.info('Read token decimals', { chain: chainName, token: token.symbol, address: token.address, decimals: decimals[symbol] });
+    }
+
+    return decimals;
+}
+
+module.exports = { resolveTokenDecimals };
@@ -0,0 +1,485 @@
+const { EventEmitter } = require('events');
+const { storage } = require('./storage');
+const { addAmounts, negateAmount } = require('./amounts');
+const { recordWriteRetry, recordWriteFailure } = require('./metrics');
+const { addDeadLetter } = require('./deadLetters');
+const { getEventTables } = require('./events');
+const { logger, withEventContext } = require('./logger');
+
+// Emits 'confirmed' with the stored row once a transaction is confirmed and counted in `user_deposits`,
+// and 'removed' with the row once a reorg has deleted it.
+// Outbound integrations (the live feed, ...) subscribe here instead of hooking into the event handlers.
+const transactionEvents = new EventEmitter();
+
+// Checks awaited on a confirmed transaction before 'confirmed' is emitted, e.g. the compliance screening
+// (src/compliance.js). A check sets the columns it stores on the row too, so the listeners see them.
+const confirmationChecks = [];
+
+function addConfirmationCheck(check) {
+    confirmationChecks.push(check);
+}
+
+// Handlers awaited on a confirmed transaction after the checks, for the writes that must be stored before the
+// listener moves its checkpoint past the transaction, e.g. the webhook deliveries (src/webhooks.js)
+const confirmationHandlers = [];
+
+function addConfirmationHandler(handler) {
+    confirmationHandlers.push(handler);
+}
+
+// Helper function to run the confirmation checks and handlers on a confirmed transaction, then emit 'confirmed'.
+// A failing check or handler is logged and does not hold the transaction back.
+async function announceConfirmed(row) {
+    for (const check of confirmationChecks) {
+        try {
+            await check(row);
+        } catch (err) {
+            logger.error('Error checking confirmed transaction', { id: row.id, err });
+        }
+    }
+    for (const handler of confirmationHandlers) {
+        try {
+            await handler(row);
+        } catch (err) {
+            logger.error('Error handling confirmed transaction', { id: row.id, err });
+        }
+    }
+    transactionEvents.emit('confirmed', row);
+}
+
+// Helper function to normalize a wallet address the way it is stored in both tables
+function normalizeAddress(address) {
+    return address.toLowerCase();
+}
+
+// Helper function to insert one event in the `user_transactions` table.
+// Every event is stored once under (chain, transaction hash, log index): an event that is already
+// stored is ignored. Returns the stored row when the event was new, null otherwise. Throws on failure.
+async function insertTransaction(eventName, user, tokenDeposit, amount, paymentType, transactionHash, blockNumber, blockTimestamp, chainName, meta = {}) {
+    const fields = {
+        address: normalizeAddress(user),
+        transaction_hash: transactionHash,
+        chain_name: chainName,
+        event_name: eventName,
+        payment_type: paymentType,
+        deposit_amount: tokenDeposit?.toString(),
+        token_amount: amount?.toString(),
+        deposit_amount_raw: meta.depositAmountRaw,
+        token_amount_raw: meta.tokenAmountRaw,
+        deposit_amount_usd: meta.depositAmountUsd ?? null,
+        native_usd_price: meta.nativeUsdPrice ?? null,
+        block_number: blockNumber,
+        block_timestamp: blockTimestamp,
+        contract_address: meta.contractAddress?.toLowerCase(),
+        block_hash: meta.blockHash,
+        log_index: meta.logIndex,
+        status: meta.status || 'confirmed',
+        compliance_flags: [],
+    };
+
+    // Rows stored before events had an identity have no log index, so the unique key does not catch them.
+    // They are already counted in the balances: the event takes the legacy row over instead of being stored again.
+    if (await storage.claimLegacyTransaction(fields)) {
+        logger.info('Legacy transaction matched, identity filled in');
+        return null;
+    }
+
+    const row = await storage.insertTransaction(fields);
+    if (!row) {
+        logger.info('Transaction already logged');
+        return null;
+    }
+    logger.info('Transaction logged', { id: row.id, address: row.address, status: row.status });
+    return row;
+}
+
+// Helper function to log transaction data in the `user_transactions` table.
+// `meta` carries the emitting contract, the block hash, the log index, the confirmation status of the event,
+// the raw on-chain integer amounts (`depositAmountRaw`, `tokenAmountRaw`) and, for native purchases,
+// the USD value of the deposit with the price it was valued at (`depositAmountUsd`, `nativeUsdPrice`).
+// Returns the stored row when the event was new, null otherwise. An insert that still fails after
+// the retries is dead-lettered with the full event, see src/deadLetters.js.
+async function logTransactionToSupabase(eventName, user, tokenDeposit, amount, paymentType, transactionHash, blockNumber, blockTimestamp, chainName, meta = {}) {
+    try {
+        logger.debug('Logging transaction', { address: user, depositAmount: tokenDeposit, tokenAmount: amount, paymentType, blockTimestamp });
+
+        // Add retry logic for network issues
+        let retries = 3;
+        while (retries > 0) {
+            try {
+                return await insertTransaction(eventName, user, tokenDeposit, amount, paymentType, transactionHash, blockNumber, blockTimestamp, chainName, meta);
+            } catch (err) {
+                retries--;
+                if (retries === 0) throw err;
+                recordWriteRetry('user_transactions');
+                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+            }
+        }
+    } catch (err) {
+        recordWriteFailure('user_transactions');
+        logger.error('Error logging transaction', { err });
+        addDeadLetter('transaction', {
+            eventName,
+            user,
+            tokenDeposit: tokenDeposit?.toString(),
+            amount: amount?.toString(),
+            paymentType,
+            transactionHash,
+            blockNumber,
+            blockTimestamp,
+            chainName,
+            meta,
+        }, err);
+    }
+    return null;
+}
+
+// Helper function to store the row of an event mapped to a table other than `user_transactions`
+// (see src/events.js), ignoring rows that are already stored. Retried like transactions, and dead-lettered
+// when it still fails.
+async function logEventRow(table, row) {
+    let retries = 3;
+    while (retries > 0) {
+        try {
+            const stored = await storage.insertEventRow(table, row);
+            if (stored) {
+                logger.info('Event logged', { table, id: stored.id });
+            } else {
+                logger.info('Event already logged', { table });
+            }
+            return stored;
+        } catch (err) {
+            retries--;
+            if (retries === 0) {
+                recordWriteFailure(table);
+                logger.error('Error logging event', { table, err });
+                addDeadLetter('event', { table, row }, err);
+                return null;
+            }
+            recordWriteRetry(table);
+            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+        }
+    }
+}
+
+// Helper function to store the compliance flags of a transaction (see src/compliance.js). Retried like the
+// other writes, and dead-lettered when it still fails so the flags are stored once the database is back.
+async function flagTransaction(id, flags) {
+    let retries = 3;
+    while (retries > 0) {
+        try {
+            await storage.flagTransaction(id, flags);
+            return;
+        } catch (err) {
+            retries--;
+            if (retries === 0) {
+                recordWriteFailure('user_transactions');
+                logger.error('Error flagging transaction', { id, flags, err });
+                addDeadLetter('flags', { id, flags }, err);
+                return;
+            }
+            recordWriteRetry('user_transactions');
+            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+        }
+    }
+}
+
+// Helper function to get what a transaction changes in its wallet's balances. Purchases add to the native
+// (and its USD value) or USDT deposit and to the tokens purchased (`total_token_amount`), claims add to the
+// tokens claimed. `paymentType` is 'native', 'usdt' or 'token' (claims) as passed to updateUserDeposit.
+function balanceChanges(depositAmount, tokenAmount, usdtAmount, paymentType, depositAmountUsd) {
+    return {
+        native: paymentType === 'native' ? depositAmount : 0,
+        nativeUsd: paymentType === 'native' ? depositAmountUsd : 0,
+        usdt: paymentType === 'usdt' ? usdtAmount : 0,
+        purchased: paymentType === 'token' ? 0 : tokenAmount,
+        claimed: paymentType === 'token' ? tokenAmount : 0,
+    };
+}
+
+// Helper function to get the balance changes of a stored `user_transactions` row
+function transactionBalanceChanges(row) {
+    if (row.payment_type === 'native') return balanceChanges(row.deposit_amount, row.token_amount, 0, 'native', row.deposit_amount_usd);
+    if (row.payment_type === 'usdt') return balanceChanges(0, row.token_amount, row.deposit_amount, 'usdt');
+    if (row.payment_type === 'claim') return balanceChanges(0, row.token_amount, 0, 'token');
+    return balanceChanges(0, 0, 0, row.payment_type);
+}
+
+// Helper function to apply balance changes to a `user_deposits` or `user_chain_deposits` row
+// (or null for a new one). The claimable balance is what was purchased and not claimed yet.
+// Amounts are decimal strings and are added with arbitrary precision.
+function addBalanceChanges(balance, changes) {
+    const purchased = addAmounts(balance?.total_token_amount, changes.purchased);
+    const claimed = addAmounts(balance?.total_tokens_claimed, changes.claimed);
+    return {
+        total_native_deposit: addAmounts(balance?.total_native_deposit, changes.native),
+        total_native_deposit_usd: addAmounts(balance?.total_native_deposit_usd, changes.nativeUsd),
+        total_usdt_deposit: addAmounts(balance?.total_usdt_deposit, changes.usdt),
+        total_token_amount: purchased,
+        total_tokens_claimed: claimed,
+        claimable_tokens: addAmounts(purchased, negateAmount(claimed)),
+    };
+}
+
+// Helper function to add amounts to a wallet's balances, in total (`user_deposits`) and for the chain
+// of the transaction (`user_chain_deposits`). The amounts are added by the storage in one atomic update,
+// listeners of several chains and contracts update the same wallet concurrently. Throws on failure.
+async function writeUserDeposit(address, chainName, depositAmount, tokenAmount, usdtAmount, paymentType, depositAmountUsd) {
+    const lowerAddress = normalizeAddress(address);
+    const changes = balanceChanges(depositAmount, tokenAmount, usdtAmount, paymentType, depositAmountUsd);
+
+    // Deposit dead letters from before the per-chain balances carry no chain, they only update the totals
+    await storage.applyDepositChanges(lowerAddress, chainName || null, {
+        native: addAmounts(changes.native),
+        nativeUsd: addAmounts(changes.nativeUsd),
+        usdt: addAmounts(changes.usdt),
+        purchased: addAmounts(changes.purchased),
+        claimed: addAmounts(changes.claimed),
+    });
+    logger.info('User deposit updated', { address: lowerAddress, paymentType });
+}
+
+// Helper function to update or insert user deposit data in the `user_deposits` and `user_chain_deposits` tables.
+// `depositAmountUsd` is the USD value of a native deposit, when known.
+// A failed update is dead-lettered so the amounts are added once the database is back.
+async function updateUserDeposit(address, chainName, depositAmount, tokenAmount, usdtAmount, paymentType, depositAmountUsd) {
+    try {
+        await writeUserDeposit(address, chainName, depositAmount, tokenAmount, usdtAmount, paymentType, depositAmountUsd);
+    } catch (err) {
+        recordWriteFailure('user_deposits');
+        logger.error('Error updating user deposit', { address, paymentType, err });
+        addDeadLetter('deposit', {
+            address,
+            chainName,
+            depositAmount: depositAmount?.toString(),
+            tokenAmount: tokenAmount?.toString(),
+            usdtAmount: usdtAmount?.toString(),
+            paymentType,
+            depositAmountUsd: depositAmountUsd?.toString(),
+        }, err);
+    }
+}
+
+// Helper function to add (direction 1) or remove (direction -1) a stored transaction row
+// from the wallet balances
+async function applyTransactionToDeposits(row, direction) {
+    const depositAmount = direction < 0 ? negateAmount(row.deposit_amount) : row.deposit_amount;
+    const tokenAmount = direction < 0 ? negateAmount(row.token_amount) : row.token_amount;
+
+    if (row.payment_type === 'native') {
+        const depositAmountUsd = direction < 0 ? negateAmount(row.deposit_amount_usd) : row.deposit_amount_usd;
+        await updateUserDeposit(row.address, row.chain_name, depositAmount, tokenAmount, 0, 'native', depositAmountUsd);
+    } else if (row.payment_type === 'usdt') {
+        await updateUserDeposit(row.address, row.chain_name, 0, tokenAmount, depositAmount, 'usdt');
+    } else if (row.payment_type === 'claim') {
+        await updateUserDeposit(row.address, row.chain_name, 0, tokenAmount, 0, 'token');
+    }
+}
+
+// Helper function to run `fn` in the log context of the event behind a stored row
+function withRowContext(row, fn) {
+    return withEventContext({
+        chainName: row.chain_name,
+        contractAddress: row.contract_address,
+        eventName: row.event_name,
+        transactionHash: row.transaction_hash,
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+    }, fn);
+}
+
+// Helper function to add a stored transaction row, once confirmed, to the wallet balances
+async function addTransactionToDeposits(row) {
+    await applyTransactionToDeposits(row, 1);
+}
+
+// Helper function to mark pending transactions up to `toBlock` as confirmed and
+// add them to the `user_deposits` aggregates. Rows of the other event tables are confirmed with them.
+async function confirmTransactions(chainName, contractAddress, toBlock) {
+    for (const table of getEventTables()) {
+        const confirmed = await storage.confirmEventRows(table, { chainName, contractAddress: contractAddress.toLowerCase(), toBlock });
+        if (confirmed > 0) {
+            logger.info('Event rows confirmed', { chain: chainName, contract: contractAddress.toLowerCase(), table, rows: confirmed, toBlock });
+        }
+    }
+
+    const rows = await storage.findTransactions({
+        chainName,
+        contractAddress: contractAddress.toLowerCase(),
+        status: 'pending',
+        toBlock,
+    });
+
+    for (const row of rows) {
+        await withRowContext(row, async () => {
+            // Only the call that actually flips the status adds the row to the aggregates
+            if (!(await storage.updateTransactionStatus(row.id, 'pending', 'confirmed'))) return;
+            await applyTransactionToDeposits(row, 1);
+            logger.info('Transaction confirmed', { id: row.id });
+            await announceConfirmed({ ...row, status: 'confirmed' });
+        });
+    }
+}
+
+// Helper function to delete the transactions stored from `fromBlock` onwards, e.g. after a reorg.
+// Rows that were already confirmed are taken back out of the `user_deposits` aggregates.
+// Rows of the other event tables are deleted with them.
+async function removeTransactionsFromBlock(chainName, contractAddress, fromBlock) {
+    for (const table of getEventTables()) {
+        const removed = await storage.deleteEventRows(table, { chainName, contractAddress: contractAddress.toLowerCase(), fromBlock });
+        if (removed > 0) {
+            logger.info('Event rows removed', { chain: chainName, contract: contractAddress.toLowerCase(), table, rows: removed, fromBlock });
+        }
+    }
+
+    const rows = await storage.findTransactions({
+        chainName,
+        contractAddress: contractAddress.toLowerCase(),
+        fromBlock,
+    });
+
+    for (const row of rows) {
+        await withRowContext(row, async () => {
+            // Only the call that actually deletes the row takes it out of the aggregates
+            if (!(await storage.deleteTransaction(row.id))) return;
+            if (row.status === 'confirmed') {
+                await applyTransactionToDeposits(row, -1);
+            }
+            logger.info('Transaction removed', { id: row.id, status: row.status });
+            transactionEvents.emit('removed', row);
+        });
+    }
+}
+
+// Helper function to tell whether the block of a dead-lettered event is still on the chain. Events dead-lettered
+// before block hashes were stored cannot be checked and are kept.
+async function isBlockOnChain(payload, getProvider) {
+    if (!payload.meta?.blockHash) return true;
+    const block = await getProvider(payload.chainName).getBlock(payload.blockNumber);
+    if (!block) throw new Error(`Block ${payload.blockNumber} of ${payload.chainName} not found`);
+    return block.hash === payload.meta.blockHash;
+}
+
+// Function to run a dead-lettered write again, see src/deadLetters.js. Throws when it fails again.
+// `getProvider(chainName)` gives the provider of a chain (createChainProviders in src/rpc.js): an event whose
+// block was reorged out while it waited in the queue is skipped rather than stored.
+// A replayed event that turns out to be new and confirmed is counted and announced like a live one.
+async function replayDeadLetter(entry, getProvider) {
+    const payload = entry.payload;
+
+    if (entry.type === 'transaction') {
+        if (!(await isBlockOnChain(payload, getProvider))) {
+            logger.warn('Dead-lettered transaction is in a block that was reorged out, skipping it', {
+                block: payload.blockNumber,
+                blockHash: payload.meta.blockHash,
+            });
+            return;
+        }
+        const row = await insertTransaction(
+            payload.eventName,
+            payload.user,
+            payload.tokenDeposit,
+            payload.amount,
+            payload.paymentType,
+            payload.transactionHash,
+            payload.blockNumber,
+            payload.blockTimestamp,
+            payload.chainName,
+            payload.meta
+        );
+        // The row is stored now, so a failing aggregate update becomes a deposit dead letter of its own
+        if (row && row.status === 'confirmed') {
+            await applyTransactionToDeposits(row, 1);
+            await announceConfirmed(row);
+        }
+    } else if (entry.type === 'event') {
+        await storage.insertEventRow(payload.table, payload.row);
+    } else if (entry.type === 'webhook-deliveries') {
+        // Deliveries that are already stored are ignored
+        await storage.insertWebhookDeliveries(payload.deliveries);
+    } else if (entry.type === 'deposit') {
+        await writeUserDeposit(payload.address, payload.chainName, payload.depositAmount, payload.tokenAmount, payload.usdtAmount, payload.paymentType, payload.depositAmountUsd);
+    } else if (entry.type === 'flags') {
+        await storage.flagTransaction(payload.id, payload.flags);
+    } else {
+        throw new Error(`Unknown dead letter type: ${entry.type}`);
+    }
+}
+
+// Helper function to map a `user_transactions` row to the public shape used by the HTTP API and
+// outbound integrations, so consumers do not depend on the table layout
+function serializeTransaction(row) {
+    return {
+        chain: row.chain_name,
+        contractAddress: row.contract_address,
+        address: row.address,
+        event: row.event_name,
+        paymentType: row.payment_type,
+        depositAmount: row.deposit_amount,
+        depositAmountRaw: row.deposit_amount_raw,
+        depositAmountUsd: row.deposit_amount_usd,
+        nativeUsdPrice: row.native_usd_price,
+        tokenAmount: row.token_amount,
+        tokenAmountRaw: row.token_amount_raw,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        blockTimestamp: row.block_timestamp,
+        status: row.status,
+        complianceFlags: row.compliance_flags || [],
+        // Receipt fields, null until the transaction is enriched (see src/enrichment.js)
+        txFrom: row.tx_from ?? null,
+        txTo: row.tx_to ?? null,
+        txValue: row.tx_value ?? null,
+        txStatus: row.tx_status ?? null,
+        gasUsed: row.gas_used ?? null,
+        effectiveGasPrice: row.effective_gas_price ?? null,
+        txFee: row.tx_fee ?? null,
+        paymentTransfer: row.payment_transfer ?? null,
+        enrichedAt: row.enriched_at ?? null,
+    };
+}
+
+// Helper function to read one page of a wallet's transactions, newest first, with the total row count
+async function getWalletTransactions(address, { chainName, eventName, limit, offset }) {
+    return storage.getWalletTransactions(normalizeAddress(address), { chainName, eventName, limit, offset });
+}
+
+// Helper function to read every confirmed transaction matching the filters.
+// `from` and `to` bound the block timestamp (inclusive, exclusive).
+async function getConfirmedTransactions({ address, chainName, from, to } = {}) {
+    return storage.getConfirmedTransactions({
+        address: address ? normalizeAddress(address) : undefined,
+        chainName,
+        from,
+        to,
+    });
+}
+
+// Helper function to read the events stored for a transaction hash, on any chain
+async function getTransactionsByHash(transactionHash) {
+    return storage.getTransactionsByHash(transactionHash.toLowerCase());
+}
+
+module.exports = {
+    transactionEvents,
+    addConfirmationCheck,
+    addConfirmationHandler,
+    announceConfirmed,
+    normalizeAddress,
+    serializeTransaction,
+    logTransactionToSupabase,
+    flagTransaction,
+    logEventRow,
+    updateUserDeposit,
+    addTransactionToDeposits,
+    transactionBalanceChanges,
+    addBalanceChanges,
+    confirmTransactions,
+    removeTransactionsFromBlock,
+    replayDeadLetter,
+    getWalletTransactions,
+    getConfirmedTransactions,
+    getTransactionsByHash,
+};
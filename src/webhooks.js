@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { storage } = require('./storage');
+const { interpolateEnv } = require('./config');
+const { recordWebhookDelivery, recordWriteRetry, recordWriteFailure } = require('./metrics');
+const { addDeadLetter } = require('./deadLetters');
+const { addConfirmationHandler, serializeTransaction } = require('./transactions');
+const { logger, eventCorrelationId } = require('./logger');
+const { runForLeadership } = require('./leader');
+
+// Outbound webhooks for confirmed purchase and claim events.
+// Every delivery is stored in `webhook_deliveries` before it is sent, so retries survive a restart
+// and failed deliveries can be listed and replayed with `node cli.js webhooks`.
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'webhooks.json');
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const REQUEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Function to load the webhook subscriptions. The config file is optional, without it no webhook is sent.
+function loadSubscriptions(configPath = process.env.WEBHOOKS_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) return [];
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read webhook config ${configPath}: ${err.message}`);
+    }
+
+    const errors = [];
+    const config = interpolateEnv(raw, 'webhooks', errors);
+    const subscriptions = Array.isArray(config.subscriptions) ? config.subscriptions : [];
+    const names = new Set();
+
+    subscriptions.forEach((subscription, index) => {
+        const location = `webhooks.subscriptions[${index}]`;
+        if (typeof subscription.name !== 'string' || subscription.name === '') {
+            errors.push(`${location}.name: a name is required`);
+        } else if (names.has(subscription.name)) {
+            errors.push(`${location}.name: duplicate subscription name ${JSON.stringify(subscription.name)}`);
+        }
+        names.add(subscription.name);
+
+        if (!/^https?:\/\//.test(subscription.url || '')) {
+            errors.push(`${location}.url: expected an http(s) URL, got ${JSON.stringify(subscription.url)}`);
+        }
+        if (!subscription.secret) {
+            errors.push(`${location}.secret: a signing secret is required`);
+        }
+        for (const filter of ['events', 'chains']) {
+            if (subscription[filter] !== undefined && !Array.isArray(subscription[filter])) {
+                errors.push(`${location}.${filter}: expected a list`);
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid webhook config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return subscriptions;
+}
+
+// Subscriptions without an `events` or `chains` list receive every event or chain
+function matchesSubscription(subscription, row) {
+    if (subscription.events && !subscription.events.includes(row.event_name)) return false;
+    if (subscription.chains && !subscription.chains.includes(row.chain_name)) return false;
+    return true;
+}
+
+// Helper function to sign a payload: HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper function to store one delivery per matching subscription. A transaction that is queued
+// again (e.g. re-confirmed after a restart) does not create a second delivery.
+// The insert is retried like the other writes; when it still fails the deliveries are dead-lettered
+// (src/deadLetters.js) and inserted again by the retrier, so no delivery is lost.
+async function queueWebhooks(subscriptions, row) {
+    const deliveries = subscriptions
+        .filter((subscription) => matchesSubscription(subscription, row))
+        .map((subscription) => ({
+            subscription: subscription.name,
+            event_name: row.event_name,
+            chain_name: row.chain_name,
+            transaction_hash: row.transaction_hash,
+            log_index: row.log_index,
+            payload: serializeTransaction(row),
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: new Date().toISOString(),
+        }));
+
+    if (deliveries.length === 0) return;
+
+    let retries = 3;
+    while (retries > 0) {
+        try {
+            await storage.insertWebhookDeliveries(deliveries);
+            return;
+        } catch (err) {
+            retries--;
+            if (retries === 0) {
+                recordWriteFailure('webhook_deliveries');
+                logger.error('Error queueing webhooks', { txHash: row.transaction_hash, err });
+                addDeadLetter('webhook-deliveries', { deliveries }, err);
+                return;
+            }
+            recordWriteRetry('webhook_deliveries');
+            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+        }
+    }
+}
+
+// Helper function to send one delivery and record the outcome. Failed attempts are retried with
+// exponential backoff until MAX_ATTEMPTS, then the delivery is marked as failed.
+async function attemptDelivery(subscription, delivery) {
+    const body = JSON.stringify({
+        id: delivery.id,
+        type: delivery.event_name,
+        createdAt: delivery.created_at,
+        data: delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempts = delivery.attempts + 1;
+
+    let update;
+    try {
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Event': delivery.event_name,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`,
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status}`), { responseStatus: response.status });
+        }
+        update = { status: 'delivered', attempts, response_status: response.status, last_error: null, delivered_at: new Date().toISOString() };
+        recordWebhookDelivery(subscription.name, 'delivered');
+    } catch (err) {
+        const failed = attempts >= MAX_ATTEMPTS;
+        update = {
+            status: failed ? 'failed' : 'pending',
+            attempts,
+            response_status: err.responseStatus || null,
+            last_error: err.message,
+            next_attempt_at: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString(),
+        };
+        recordWebhookDelivery(subscription.name, failed ? 'failed' : 'retrying');
+        logger.error('Webhook delivery failed', {
+            subscription: subscription.name,
+            deliveryId: delivery.id,
+            attempts,
+            chain: delivery.chain_name,
+            txHash: delivery.transaction_hash,
+            correlationId: eventCorrelationId(delivery.chain_name, delivery.transaction_hash, delivery.log_index),
+            err,
+        });
+    }
+
+    await storage.updateWebhookDelivery(delivery.id, update);
+}
+
+// Function to send every delivery that is due
+async function processDueDeliveries(subscriptions) {
+    const deliveries = await storage.getDueWebhookDeliveries(50);
+
+    for (const delivery of deliveries) {
+        const subscription = subscriptions.find((candidate) => candidate.name === delivery.subscription);
+        if (!subscription) {
+            await storage.updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'Subscription is no longer configured' });
+            continue;
+        }
+        await attemptDelivery(subscription, delivery);
+    }
+}
+
+// Function to start the webhook dispatcher: the deliveries of a confirmed transaction are stored as part of its
+// confirmation (before the listener saves a checkpoint past it, so a crash cannot lose them),
+// and due deliveries are sent right away and then every POLL_INTERVAL_MS.
+// Deliveries are only sent by the instance holding the `webhook-dispatcher` lease, so that several
+// instances do not send the same delivery twice. Returns { stop() }, or null without subscriptions.
+function startWebhookDispatcher() {
+    const subscriptions = loadSubscriptions();
+    if (subscriptions.length === 0) {
+        logger.info('No webhook subscriptions configured');
+        return null;
+    }
+
+    let leader = false;
+    let dispatching = false;
+    async function dispatch() {
+        if (!leader || dispatching) return;
+        dispatching = true;
+        try {
+            await processDueDeliveries(subscriptions);
+        } catch (err) {
+            logger.error('Error dispatching webhooks', { err });
+        } finally {
+            dispatching = false;
+        }
+    }
+
+    addConfirmationHandler(async (row) => {
+        await queueWebhooks(subscriptions, row);
+        dispatch();
+    });
+
+    const timer = setInterval(dispatch, POLL_INTERVAL_MS);
+    const leadership = runForLeadership('webhook-dispatcher', {
+        onAcquired() {
+            leader = true;
+            dispatch();
+        },
+        onLost() {
+            leader = false;
+        },
+    });
+    logger.info('Webhook dispatcher started', { subscriptions: subscriptions.map((subscription) => subscription.name) });
+
+    return {
+        async stop() {
+            clearInterval(timer);
+            await leadership.stop();
+        },
+    };
+}
+
+// Helper function to list deliveries by status, newest first
+async function listDeliveries(status, limit) {
+    return storage.listWebhookDeliveries(status, limit);
+}
+
+// Helper function to read one delivery
+async function getDelivery(id) {
+    return storage.getWebhookDelivery(id);
+}
+
+// Helper function to put a delivery back in the queue with a fresh set of attempts
+async function replayDelivery(id) {
+    return storage.updateWebhookDelivery(id, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+}
+
+module.exports = {
+    loadSubscriptions,
+    signPayload,
+    startWebhookDispatcher,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+};
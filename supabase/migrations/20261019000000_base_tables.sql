@@ -0,0 +1,26 @@
+-- Tables the indexer has always written to. They predate the migrations, hence `if not exists`;
+-- the later migrations add the columns introduced since.
+create table if not exists public.user_transactions (
+    id bigserial primary key,
+    address text not null,
+    transaction_hash text not null,
+    chain_name text not null,
+    event_name text not null,
+    payment_type text not null,
+    deposit_amount numeric,
+    token_amount numeric,
+    block_number bigint not null,
+    block_timestamp timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists user_transactions_address_idx
+    on public.user_transactions (address);
+
+create table if not exists public.user_deposits (
+    address text primary key,
+    total_native_deposit numeric not null default 0,
+    total_usdt_deposit numeric not null default 0,
+    total_token_amount numeric not null default 0,
+    last_updated timestamptz not null default now()
+);
@@ -0,0 +1,8 @@
+-- Last fully processed block per chain and contract, used to resume indexing after a restart
+create table if not exists public.indexer_checkpoints (
+    chain_name text not null,
+    contract_address text not null,
+    last_block bigint not null,
+    updated_at timestamptz not null default now(),
+    primary key (chain_name, contract_address)
+);
@@ -0,0 +1,8 @@
+-- Confirmation tracking for reorg-safe ingestion. Pending rows are not yet counted in user_deposits.
+alter table public.user_transactions
+    add column if not exists contract_address text,
+    add column if not exists block_hash text,
+    add column if not exists status text not null default 'confirmed';
+
+create index if not exists user_transactions_chain_contract_block_idx
+    on public.user_transactions (chain_name, contract_address, block_number);
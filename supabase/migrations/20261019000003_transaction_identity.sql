@@ -0,0 +1,6 @@
+-- Every event is stored once under (chain, transaction hash, log index) so replays are ignored
+alter table public.user_transactions
+    add column if not exists log_index integer;
+
+create unique index if not exists user_transactions_event_identity_idx
+    on public.user_transactions (chain_name, transaction_hash, log_index);
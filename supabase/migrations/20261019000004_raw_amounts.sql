@@ -0,0 +1,4 @@
+-- Raw on-chain integer amounts, stored next to the decimal-normalized deposit_amount and token_amount
+alter table public.user_transactions
+    add column if not exists deposit_amount_raw numeric(78, 0),
+    add column if not exists token_amount_raw numeric(78, 0);
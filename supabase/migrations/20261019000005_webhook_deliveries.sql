@@ -0,0 +1,23 @@
+-- Delivery log of outbound webhooks, one row per subscription and event
+create table if not exists public.webhook_deliveries (
+    id bigserial primary key,
+    subscription text not null,
+    event_name text not null,
+    chain_name text not null,
+    transaction_hash text not null,
+    log_index integer,
+    payload jsonb not null,
+    status text not null default 'pending',
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    response_status integer,
+    last_error text,
+    created_at timestamptz not null default now(),
+    delivered_at timestamptz
+);
+
+create unique index if not exists webhook_deliveries_event_idx
+    on public.webhook_deliveries (subscription, chain_name, transaction_hash, log_index);
+
+create index if not exists webhook_deliveries_due_idx
+    on public.webhook_deliveries (status, next_attempt_at);
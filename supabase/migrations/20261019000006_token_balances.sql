@@ -0,0 +1,55 @@
+-- Tokens purchased, tokens claimed and the claimable balance are tracked separately, per wallet in total
+-- (user_deposits) and per wallet and chain (user_chain_deposits).
+-- total_token_amount now only counts purchased tokens; claims used to be added to it as well.
+alter table public.user_deposits
+    add column if not exists total_tokens_claimed numeric not null default 0,
+    add column if not exists claimable_tokens numeric not null default 0;
+
+update public.user_deposits d
+set total_token_amount = d.total_token_amount - c.claimed,
+    total_tokens_claimed = c.claimed
+from (
+    select address, sum(token_amount) as claimed
+    from public.user_transactions
+    where status = 'confirmed' and payment_type = 'claim'
+    group by address
+) c
+where c.address = d.address;
+
+update public.user_deposits
+set claimable_tokens = total_token_amount - total_tokens_claimed;
+
+create table if not exists public.user_chain_deposits (
+    address text not null,
+    chain_name text not null,
+    total_native_deposit numeric not null default 0,
+    total_usdt_deposit numeric not null default 0,
+    total_token_amount numeric not null default 0,
+    total_tokens_claimed numeric not null default 0,
+    claimable_tokens numeric not null default 0,
+    last_updated timestamptz not null default now(),
+    primary key (address, chain_name)
+);
+
+insert into public.user_chain_deposits (
+    address,
+    chain_name,
+    total_native_deposit,
+    total_usdt_deposit,
+    total_token_amount,
+    total_tokens_claimed,
+    claimable_tokens
+)
+select
+    address,
+    chain_name,
+    coalesce(sum(deposit_amount) filter (where payment_type = 'native'), 0),
+    coalesce(sum(deposit_amount) filter (where payment_type = 'usdt'), 0),
+    coalesce(sum(token_amount) filter (where payment_type in ('native', 'usdt')), 0),
+    coalesce(sum(token_amount) filter (where payment_type = 'claim'), 0),
+    coalesce(sum(token_amount) filter (where payment_type in ('native', 'usdt')), 0)
+        - coalesce(sum(token_amount) filter (where payment_type = 'claim'), 0)
+from public.user_transactions
+where status = 'confirmed'
+group by address, chain_name
+on conflict (address, chain_name) do nothing;
@@ -0,0 +1,10 @@
+-- USD value of native-currency purchases, at the price of the purchase block (see src/prices.js)
+alter table public.user_transactions
+    add column if not exists deposit_amount_usd numeric,
+    add column if not exists native_usd_price numeric;
+
+alter table public.user_deposits
+    add column if not exists total_native_deposit_usd numeric not null default 0;
+
+alter table public.user_chain_deposits
+    add column if not exists total_native_deposit_usd numeric not null default 0;
@@ -0,0 +1,7 @@
+-- Compliance violations found when a purchase is screened (see src/compliance.js),
+-- e.g. {denylisted,usd_cap_exceeded}
+alter table public.user_transactions
+    add column if not exists compliance_flags text[] not null default '{}';
+
+create index if not exists user_transactions_compliance_flags_idx
+    on public.user_transactions using gin (compliance_flags);
@@ -0,0 +1,8 @@
+-- Leases electing the instance that writes for a chain when several indexers run (see src/leader.js).
+-- The holder renews its lease before `expires_at`; an expired lease can be taken over by another instance.
+create table if not exists public.indexer_leases (
+    name text primary key,
+    holder text not null,
+    expires_at timestamptz not null,
+    updated_at timestamptz not null default now()
+);
@@ -0,0 +1,22 @@
+-- Transaction and receipt fields of the events, filled in the background when a chain has
+-- `enrichTransactions` enabled (see src/enrichment.js). Null until the transaction is enriched.
+-- `tx_from` is the wallet that sent the transaction and paid the gas, `tx_value` and `tx_fee` are in the
+-- chain's native currency, `payment_transfer` is the ERC-20 Transfer that paid for a USDT purchase:
+-- {"token", "from", "to", "amount", "amountRaw", "logIndex"}
+alter table public.user_transactions
+    add column if not exists tx_from text,
+    add column if not exists tx_to text,
+    add column if not exists tx_value numeric,
+    add column if not exists tx_status text,
+    add column if not exists gas_used numeric,
+    add column if not exists effective_gas_price numeric,
+    add column if not exists tx_fee numeric,
+    add column if not exists payment_transfer jsonb,
+    add column if not exists enriched_at timestamptz;
+
+create index if not exists user_transactions_unenriched_idx
+    on public.user_transactions (chain_name, id)
+    where enriched_at is null;
+
+create index if not exists user_transactions_tx_from_idx
+    on public.user_transactions (tx_from);
@@ -0,0 +1,7 @@
+-- Rows stored before 20261019000003_transaction_identity have no log_index or contract_address, and NULLs never
+-- conflict in the unique key. When the backfill meets their event again it takes the legacy row over instead of
+-- inserting (and counting) it a second time, see claimLegacyTransaction in src/storage/supabase.js.
+-- This index keeps that lookup cheap while legacy rows remain.
+create index if not exists user_transactions_legacy_identity_idx
+    on public.user_transactions (chain_name, transaction_hash, event_name, address)
+    where log_index is null;
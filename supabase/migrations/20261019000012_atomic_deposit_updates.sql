@@ -0,0 +1,61 @@
+-- Adds balance changes to a wallet's totals (user_deposits) and, when p_chain_name is given, to its chain
+-- balances (user_chain_deposits), in one statement each so that concurrent listeners never overwrite each
+-- other's updates. Amounts are decimal deltas, negative to take a transaction back out (see src/transactions.js).
+create or replace function public.apply_deposit_changes(
+    p_address text,
+    p_chain_name text,
+    p_native numeric,
+    p_native_usd numeric,
+    p_usdt numeric,
+    p_purchased numeric,
+    p_claimed numeric
+) returns void
+language plpgsql
+as $$
+begin
+    insert into public.user_deposits as d (
+        address,
+        total_native_deposit,
+        total_native_deposit_usd,
+        total_usdt_deposit,
+        total_token_amount,
+        total_tokens_claimed,
+        claimable_tokens,
+        last_updated
+    ) values (
+        p_address, p_native, p_native_usd, p_usdt, p_purchased, p_claimed, p_purchased - p_claimed, now()
+    )
+    on conflict (address) do update set
+        total_native_deposit = d.total_native_deposit + excluded.total_native_deposit,
+        total_native_deposit_usd = d.total_native_deposit_usd + excluded.total_native_deposit_usd,
+        total_usdt_deposit = d.total_usdt_deposit + excluded.total_usdt_deposit,
+        total_token_amount = d.total_token_amount + excluded.total_token_amount,
+        total_tokens_claimed = d.total_tokens_claimed + excluded.total_tokens_claimed,
+        claimable_tokens = d.claimable_tokens + excluded.claimable_tokens,
+        last_updated = excluded.last_updated;
+
+    if p_chain_name is not null then
+        insert into public.user_chain_deposits as c (
+            address,
+            chain_name,
+            total_native_deposit,
+            total_native_deposit_usd,
+            total_usdt_deposit,
+            total_token_amount,
+            total_tokens_claimed,
+            claimable_tokens,
+            last_updated
+        ) values (
+            p_address, p_chain_name, p_native, p_native_usd, p_usdt, p_purchased, p_claimed, p_purchased - p_claimed, now()
+        )
+        on conflict (address, chain_name) do update set
+            total_native_deposit = c.total_native_deposit + excluded.total_native_deposit,
+            total_native_deposit_usd = c.total_native_deposit_usd + excluded.total_native_deposit_usd,
+            total_usdt_deposit = c.total_usdt_deposit + excluded.total_usdt_deposit,
+            total_token_amount = c.total_token_amount + excluded.total_token_amount,
+            total_tokens_claimed = c.total_tokens_claimed + excluded.total_tokens_claimed,
+            claimable_tokens = c.claimable_tokens + excluded.claimable_tokens,
+            last_updated = excluded.last_updated;
+    end if;
+end;
+$$;
@@ -0,0 +1,13 @@
+-- Failed enrichments of a row (src/enrichment.js): the transaction was not found or reading it threw.
+-- The row is tried again at `enrich_next_attempt_at` with an exponential backoff, and given up on at
+-- `enrich_failed_at` after ENRICH_MAX_ATTEMPTS. Set `enrich_failed_at` back to null to try it again.
+alter table public.user_transactions
+    add column if not exists enrich_attempts integer not null default 0,
+    add column if not exists enrich_next_attempt_at timestamptz,
+    add column if not exists enrich_failed_at timestamptz,
+    add column if not exists enrich_error text;
+
+drop index if exists user_transactions_unenriched_idx;
+create index user_transactions_unenriched_idx
+    on public.user_transactions (chain_name, id)
+    where enriched_at is null and enrich_failed_at is null;
@@ -0,0 +1,26 @@
+-- Time a transaction was confirmed, set by the database on insert or when its status becomes 'confirmed'.
+-- The live feed (src/feed.js) polls the rows confirmed since its last read by this column, so it also sees
+-- the chains indexed by other instances. Rows confirmed before this migration keep it null.
+alter table public.user_transactions
+    add column if not exists confirmed_at timestamptz;
+
+create or replace function public.set_transaction_confirmed_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.status = 'confirmed' and (tg_op = 'INSERT' or old.status is distinct from 'confirmed') then
+        new.confirmed_at := clock_timestamp();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists user_transactions_confirmed_at on public.user_transactions;
+create trigger user_transactions_confirmed_at
+    before insert or update of status on public.user_transactions
+    for each row execute function public.set_transaction_confirmed_at();
+
+create index if not exists user_transactions_confirmed_at_idx
+    on public.user_transactions (confirmed_at, id)
+    where confirmed_at is not null;
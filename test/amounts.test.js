@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    addAmounts,
+    negateAmount,
+    multiplyAmounts,
+    compareAmounts,
+    normalizeAmount,
+    toRawAmount,
+} = require('../src/amounts');
+const { loadConfig } = require('../src/config');
+
+test('normalizes 6-decimal USDT amounts', () => {
+    assert.equal(normalizeAmount('1500000', 6), '1.5');
+    assert.equal(normalizeAmount('20000000', 6), '20');
+    assert.equal(normalizeAmount('1', 6), '0.000001');
+    assert.equal(normalizeAmount('0', 6), '0');
+});
+
+test('normalizes 18-decimal native and token amounts', () => {
+    assert.equal(normalizeAmount('1000000000000000000', 18), '1');
+    assert.equal(normalizeAmount('1', 18), '0.000000000000000001');
+    assert.equal(normalizeAmount('123456789012345678901234567890', 18), '123456789012.34567890123456789');
+});
+
+test('adds 6- and 18-decimal amounts without rounding', () => {
+    const usdt = normalizeAmount('1', 6);
+    const token = normalizeAmount('1', 18);
+    assert.equal(addAmounts(usdt, token), '0.000001000000000001');
+    assert.equal(addAmounts('0.1', '0.2'), '0.3');
+    assert.equal(addAmounts(), '0');
+    assert.equal(addAmounts('5', null, undefined, ''), '5');
+    assert.equal(addAmounts('5', negateAmount('7.25')), '-2.25');
+});
+
+test('compares amounts of different precision', () => {
+    assert.equal(compareAmounts('1.000000000000000001', '1'), 1);
+    assert.equal(compareAmounts('1.0', '1'), 0);
+    assert.equal(compareAmounts('0.000001', '0.00001'), -1);
+});
+
+test('truncates products and raw conversions instead of rounding up', () => {
+    assert.equal(multiplyAmounts('0.000000000000000001', '0.5'), '0');
+    assert.equal(multiplyAmounts('1.5', '2000.1'), '3000.15');
+    assert.equal(toRawAmount('1.2345679', 6), '1234567');
+    assert.equal(toRawAmount('1.5', 18), '1500000000000000000');
+    assert.equal(toRawAmount('1.9', 0), '1');
+});
+
+test('round-trips raw amounts through the 18-decimal scale', () => {
+    for (const [raw, decimals] of [['1234567', 6], ['1', 18], ['999999999999999999999', 18], ['42', 0]]) {
+        assert.equal(toRawAmount(normalizeAmount(raw, decimals), decimals), raw);
+    }
+});
+
+test('rejects amounts with more decimals than the scale', () => {
+    assert.throws(() => addAmounts('0.0000000000000000001'));
+});
+
+test('rejects missing or invalid decimals', () => {
+    for (const decimals of [undefined, null, -1, 19, 1.5, '6']) {
+        assert.throws(() => normalizeAmount('1', decimals), /Invalid token decimals/);
+        assert.throws(() => toRawAmount('1', decimals), /Invalid token decimals/);
+    }
+});
+
+test('rejects token configs with missing or unsupported decimals', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amounts-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const writeConfig = (tokens) => {
+        const file = path.join(dir, 'networks.json');
+        fs.writeFileSync(file, JSON.stringify({
+            chains: [{
+                name: 'ETH',
+                rpcUrls: ['http://127.0.0.1:8545'],
+                tokens,
+                contracts: [{ name: 'presale', address: '0x00000000000000000000000000000000000000cc' }],
+            }],
+        }));
+        return file;
+    };
+
+    assert.throws(() => loadConfig(writeConfig({ usdt: {}, token: { decimals: 18 } })), /usdt: either decimals or address is required/);
+    assert.throws(() => loadConfig(writeConfig({ usdt: { decimals: 24 }, token: { decimals: 18 } })), /at most 18 decimals/);
+    assert.throws(() => loadConfig(writeConfig({ usdt: { decimals: 'six' }, token: { decimals: 18 } })), /expected a non-negative integer/);
+
+    const config = loadConfig(writeConfig({ usdt: { decimals: '6' }, token: { decimals: 18 } }));
+    assert.deepEqual(
+        Object.fromEntries(Object.entries(config.chains[0].tokens).map(([symbol, token]) => [symbol, token.decimals])),
+        { native: 18, usdt: 6, token: 18 }
+    );
+});
@@ -0,0 +1,75 @@
+require('./helpers/env');
+process.env.ANALYTICS_CACHE_TTL_MS = '0';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage } = require('../src/storage');
+const analytics = require('../src/analytics');
+
+const BUYER_A = '0x0000000000000000000000000000000000000a01';
+const BUYER_B = '0x0000000000000000000000000000000000000a02';
+let logIndex = 0;
+
+function storeConfirmed(fields) {
+    return storage.insertTransaction({
+        chain_name: 'ETH',
+        transaction_hash: '0x' + String(logIndex).padStart(64, '0'),
+        log_index: logIndex++,
+        block_number: 10,
+        block_timestamp: '2026-10-01T10:30:00.000Z',
+        status: 'confirmed',
+        ...fields,
+    });
+}
+
+test.before(async () => {
+    await storeConfirmed({ address: BUYER_A, event_name: 'BoughtWithNative', payment_type: 'native', deposit_amount: '1.5', deposit_amount_usd: '3000', token_amount: '100' });
+    // Native purchase the price backfill has not valued yet
+    await storeConfirmed({ address: BUYER_A, event_name: 'BoughtWithNative', payment_type: 'native', deposit_amount: '0.25', deposit_amount_usd: null, token_amount: '20' });
+    await storeConfirmed({ address: BUYER_B, event_name: 'BoughtWithUSDT', payment_type: 'usdt', deposit_amount: '500', token_amount: '50', block_timestamp: '2026-10-02T08:00:00.000Z' });
+    await storeConfirmed({ address: BUYER_A, event_name: 'claimHistory', payment_type: 'claim', deposit_amount: '0', token_amount: '30' });
+    await storeConfirmed({ chain_name: 'BSC', address: BUYER_B, event_name: 'BoughtWithNative', payment_type: 'native', deposit_amount: '2', deposit_amount_usd: '1200.5', token_amount: '60' });
+});
+
+test('values native purchases in USD and reports the ones without a price apart', async () => {
+    const totals = await analytics.getRaisedTotals({ chainName: 'ETH' });
+    const native = totals.find((total) => total.paymentType === 'native');
+    assert.deepEqual(native, {
+        chain: 'ETH',
+        paymentType: 'native',
+        amount: '1.75',
+        amountUsd: '3000',
+        tokens: '120',
+        purchases: 2,
+        unpricedCount: 1,
+        unpricedNative: '0.25',
+    });
+    const usdt = totals.find((total) => total.paymentType === 'usdt');
+    assert.equal(usdt.amountUsd, '500');
+    assert.equal(usdt.unpricedCount, 0);
+});
+
+test('filters by block time, counts buyers and compares sold with claimed tokens', async () => {
+    const dayOne = { from: new Date('2026-10-01T00:00:00Z'), to: new Date('2026-10-02T00:00:00Z') };
+    assert.deepEqual(await analytics.getUniqueBuyers(dayOne), { uniqueBuyers: 2, chains: { ETH: 1, BSC: 1 } });
+    assert.deepEqual(await analytics.getUniqueBuyers({}), { uniqueBuyers: 2, chains: { ETH: 2, BSC: 1 } });
+
+    const tokens = await analytics.getTokenTotals({});
+    assert.deepEqual(tokens.chains.ETH, { sold: '170', claimed: '30' });
+    assert.deepEqual(tokens.total, { sold: '230', claimed: '30' });
+});
+
+test('buckets purchases by day and ranks buyers by tokens purchased', async () => {
+    const series = await analytics.getTimeSeries({ chainName: 'ETH' }, 'day');
+    assert.deepEqual(series.map((point) => [point.start, point.paymentType, point.amount, point.purchases]), [
+        ['2026-10-01T00:00:00.000Z', 'native', '1.75', 2],
+        ['2026-10-02T00:00:00.000Z', 'usdt', '500', 1],
+    ]);
+
+    const leaderboard = await analytics.getLeaderboard({}, 10);
+    assert.deepEqual(leaderboard.map((wallet) => [wallet.rank, wallet.address, wallet.tokensPurchased]), [
+        [1, BUYER_A, '120'],
+        [2, BUYER_B, '110'],
+    ]);
+    assert.deepEqual(leaderboard[1].native, { BSC: '2' });
+    assert.equal(leaderboard[1].usdt, '500');
+});
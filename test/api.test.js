@@ -0,0 +1,77 @@
+require('./helpers/env');
+process.env.ANALYTICS_CACHE_TTL_MS = '0';
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage } = require('../src/storage');
+const { startApiServer } = require('../src/api');
+
+const BUYER = '0x00000000000000000000000000000000000000A1';
+const HASH = `0x${'a1'.repeat(32)}`;
+const server = startApiServer(0);
+const listening = once(server, 'listening');
+let baseUrl;
+
+test.after(() => server.close());
+
+test.before(async () => {
+    await listening;
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const stored = { address: BUYER.toLowerCase(), block_timestamp: '2026-10-01T12:00:00.000Z', status: 'confirmed' };
+    await storage.insertTransaction({ ...stored, chain_name: 'ETH', transaction_hash: HASH, log_index: 0, block_number: 5, event_name: 'BoughtWithNative', payment_type: 'native', deposit_amount: '2', deposit_amount_usd: '5000', token_amount: '400' });
+    await storage.insertTransaction({ ...stored, chain_name: 'BSC', transaction_hash: `0x${'b2'.repeat(32)}`, log_index: 0, block_number: 9, event_name: 'BoughtWithUSDT', payment_type: 'usdt', deposit_amount: '100', token_amount: '10' });
+    await storage.insertTransaction({ ...stored, chain_name: 'ETH', transaction_hash: `0x${'c3'.repeat(32)}`, log_index: 0, block_number: 7, event_name: 'claimHistory', payment_type: 'claim', deposit_amount: '0', token_amount: '150' });
+    await storage.insertTransaction({ ...stored, chain_name: 'ETH', transaction_hash: `0x${'d4'.repeat(32)}`, log_index: 0, block_number: 8, event_name: 'BoughtWithNative', payment_type: 'native', deposit_amount: '1', token_amount: '50', status: 'pending' });
+});
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+test('serves the transactions and the balances of a wallet', async () => {
+    const { status, body } = await get(`/wallets/${BUYER}/transactions?limit=2`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.pagination, { limit: 2, offset: 0, total: 4 });
+    assert.equal(body.data.length, 2);
+
+    const summary = await get(`/wallets/${BUYER}/summary`);
+    assert.equal(summary.body.address, BUYER.toLowerCase());
+    assert.equal(summary.body.chains.ETH.tokensClaimable, '250');
+    assert.equal(summary.body.total.tokensPurchased, '410');
+
+    const byHash = await get(`/transactions/${HASH}`);
+    assert.deepEqual(byHash.body.data.map((row) => [row.chain, row.event, row.depositAmountUsd]), [['ETH', 'BoughtWithNative', '5000']]);
+});
+
+test('serves the analytics endpoints with their filters', async () => {
+    const raised = await get('/analytics/raised?chain=ETH');
+    assert.deepEqual(raised.body.data.map((total) => [total.paymentType, total.amountUsd, total.purchases]), [['native', '5000', 1]]);
+
+    assert.deepEqual((await get('/analytics/buyers')).body, { uniqueBuyers: 1, chains: { ETH: 1, BSC: 1 } });
+    assert.deepEqual((await get('/analytics/tokens?chain=ETH')).body.total, { sold: '400', claimed: '150' });
+
+    const series = await get('/analytics/timeseries?interval=hour&from=2026-10-01T00:00:00Z&to=2026-10-02T00:00:00Z');
+    assert.equal(series.body.interval, 'hour');
+    assert.deepEqual(series.body.data.map((point) => `${point.start} ${point.chain}`).sort(), [
+        '2026-10-01T12:00:00.000Z BSC',
+        '2026-10-01T12:00:00.000Z ETH',
+    ]);
+
+    const leaderboard = await get('/analytics/leaderboard?limit=1');
+    assert.deepEqual(leaderboard.body.data.map((wallet) => [wallet.rank, wallet.tokensPurchased]), [[1, '410']]);
+});
+
+test('answers bad requests with a 4xx and a message', async () => {
+    assert.deepEqual(await get('/wallets/0x123/summary'), { status: 400, body: { error: 'Invalid wallet address: 0x123' } });
+    assert.equal((await get(`/wallets/${BUYER}/transactions?limit=501`)).status, 400);
+    assert.equal((await get('/transactions/0xabc')).status, 400);
+    assert.equal((await get(`/transactions/0x${'ee'.repeat(32)}`)).status, 404);
+    assert.equal((await get('/analytics/timeseries?interval=week')).status, 400);
+    assert.equal((await get('/analytics/raised?from=yesterday')).status, 400);
+    assert.equal((await get('/nowhere')).status, 404);
+
+    const response = await fetch(`${baseUrl}/analytics/raised`, { method: 'POST' });
+    assert.equal(response.status, 405);
+});
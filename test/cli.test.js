@@ -0,0 +1,27 @@
+const { dir } = require('./helpers/env');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// Helper function to run the CLI with the default (Supabase) backend and no Supabase settings.
+// It runs from the test directory, so no .env file is read.
+function runCli(args) {
+    const env = { ...process.env, DEAD_LETTER_FILE: path.join(dir, 'cli-dead-letters.ndjson') };
+    delete env.STORAGE_BACKEND;
+    delete env.SUPABASE_URL;
+    delete env.SUPABASE_ANON_KEY;
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: dir, env, encoding: 'utf8', timeout: 30000 });
+}
+
+test('runs the commands that do not need the database without storage settings', () => {
+    const usage = runCli([]);
+    assert.equal(usage.status, 0, usage.stderr);
+    assert.match(usage.stdout, /Usage: node cli\.js <command>/);
+
+    const deadLetters = runCli(['dead-letters', 'list']);
+    assert.equal(deadLetters.status, 0, deadLetters.stderr);
+    assert.match(deadLetters.stdout, /0 open dead letters/);
+});
@@ -0,0 +1,65 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { handleEvent } = require('../src/handlers');
+const { getStorage } = require('../src/storage');
+const { transactionEvents, replayDeadLetter, getTransactionsByHash } = require('../src/transactions');
+const { listDeadLetters, drainDeadLetters } = require('../src/deadLetters');
+const { startComplianceScreening } = require('../src/compliance');
+const { FakeChain } = require('./helpers/chain');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+const DECIMALS = { native: 18, usdt: 6, token: 18 };
+
+process.env.COMPLIANCE_CONFIG = path.join(dir, 'compliance.json');
+fs.writeFileSync(process.env.COMPLIANCE_CONFIG, JSON.stringify({ walletCap: { usd: '1000' }, alerts: [] }));
+startComplianceScreening();
+
+// Helper function to confirm a native purchase of 1.5 at `price` and return the row announced as confirmed
+async function confirmPurchase(chainName, buyer, price) {
+    const chain = new FakeChain();
+    chain.addEvent(CONTRACT, 3, 'BoughtWithNative', [buyer, ethers.utils.parseEther('1.5'), ethers.utils.parseEther('100'), 1760000000]);
+    chain.head = 3;
+    const contract = new ethers.Contract(CONTRACT, require('../src/contract').contractABI, chain);
+    const [event] = await contract.queryFilter('*', 3, 3);
+
+    const announced = new Promise((resolve) => transactionEvents.once('confirmed', resolve));
+    await handleEvent(event, chainName, 'confirmed', DECIMALS, { async getPrice() { return price; } });
+    return announced;
+}
+
+test('screens a purchase before it is announced as confirmed', async () => {
+    const row = await confirmPurchase('SCREENED', '0x0000000000000000000000000000000000000d01', '2000');
+    assert.deepEqual(row.compliance_flags, ['usd_cap_exceeded']);
+});
+
+test('flags a native purchase without a USD price for review', async () => {
+    const row = await confirmPurchase('UNPRICED', '0x0000000000000000000000000000000000000d02', null);
+    assert.equal(row.deposit_amount_usd, null);
+    assert.deepEqual(row.compliance_flags, ['needs_review']);
+});
+
+test('dead-letters the flags of a purchase when they cannot be stored', async (t) => {
+    const backend = getStorage();
+    const { flagTransaction } = backend;
+    backend.flagTransaction = async () => {
+        throw new Error('database unavailable');
+    };
+    t.after(() => {
+        backend.flagTransaction = flagTransaction;
+    });
+
+    const row = await confirmPurchase('UNFLAGGED', '0x0000000000000000000000000000000000000d03', '2000');
+    assert.deepEqual(row.compliance_flags, ['usd_cap_exceeded']);
+    const [deadLetter] = listDeadLetters('open');
+    assert.equal(deadLetter.type, 'flags');
+    assert.deepEqual(deadLetter.payload, { id: row.id, flags: ['usd_cap_exceeded'] });
+
+    backend.flagTransaction = flagTransaction;
+    assert.equal(await drainDeadLetters(replayDeadLetter), 1);
+    const stored = (await getTransactionsByHash(row.transaction_hash)).find((candidate) => candidate.id === row.id);
+    assert.deepEqual(stored.compliance_flags, ['usd_cap_exceeded']);
+});
@@ -0,0 +1,103 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, interpolateEnv } = require('../src/config');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+
+// Helper function to write a network config and load it
+function load(name, config) {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return loadConfig(file);
+}
+
+test('fills in environment variables, with defaults, and reports the unset ones', () => {
+    process.env.CONFIG_TEST_URL = 'https://rpc.example';
+    const errors = [];
+    const value = interpolateEnv({
+        urls: ['${CONFIG_TEST_URL}/key', '${CONFIG_TEST_MISSING:-https://fallback.example}'],
+        block: '${CONFIG_TEST_EMPTY:-}',
+        other: '${CONFIG_TEST_UNSET}',
+    }, 'config', errors);
+
+    assert.deepEqual(value, {
+        urls: ['https://rpc.example/key', 'https://fallback.example'],
+        block: '',
+        other: '',
+    });
+    assert.deepEqual(errors, ['config.other: environment variable CONFIG_TEST_UNSET is not set']);
+});
+
+test('loads a chain with its defaults and drops the empty optional entries', () => {
+    process.env.CONFIG_TEST_CONFIRMATIONS = '12';
+    const { chains: [chain] } = load('valid', {
+        chains: [{
+            name: 'ETH',
+            rpcUrls: ['https://rpc.example', '${CONFIG_TEST_FALLBACK:-}'],
+            wsUrls: ['${CONFIG_TEST_WS:-}'],
+            confirmations: '${CONFIG_TEST_CONFIRMATIONS}',
+            tokens: { usdt: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }, token: { decimals: 18 } },
+            priceSource: { type: 'chainlink', address: '${CONFIG_TEST_FEED:-}' },
+            contracts: [{ name: 'presale', address: CONTRACT, startBlock: '100' }],
+        }],
+    });
+
+    assert.deepEqual(chain.rpcUrls, ['https://rpc.example']);
+    assert.deepEqual(chain.wsUrls, []);
+    assert.equal(chain.confirmations, 12);
+    assert.equal(chain.priceSource, null);
+    assert.equal(chain.enrichTransactions, false);
+    assert.deepEqual(chain.tokens.native, { symbol: 'NATIVE', address: null, decimals: 18 });
+    assert.equal(chain.tokens.usdt.decimals, 6);
+    assert.deepEqual(chain.contracts, [{ name: 'presale', address: CONTRACT, startBlock: 100 }]);
+});
+
+test('reports every problem of an invalid config in one error', () => {
+    let error;
+    try {
+        load('invalid', {
+            chains: [
+                {
+                    name: 'ETH',
+                    rpcUrls: ['wss://not-http.example'],
+                    confirmations: -1,
+                    tokens: { usdt: {}, token: { decimals: 24 } },
+                    priceSource: { type: 'oracle' },
+                    contracts: [{ name: 'presale', address: 'nope' }, { name: 'presale', address: CONTRACT }],
+                },
+                { name: 'ETH', rpcUrls: [], contracts: [] },
+            ],
+        });
+    } catch (err) {
+        error = err;
+    }
+
+    const problems = error.message.split('\n  - ').slice(1);
+    assert.deepEqual(problems, [
+        'config.chains[0].rpcUrls[0]: expected an http(s) URL',
+        'config.chains[0].contracts[0].address: invalid address "nope"',
+        'config.chains[0].contracts: duplicate contract name "presale"',
+        'config.chains[0].confirmations: expected a non-negative integer, got -1',
+        'config.chains[0].tokens.usdt: either decimals or address is required',
+        'config.chains[0].tokens.token.decimals: at most 18 decimals are supported, got 24',
+        'config.chains[0].priceSource.type: expected "chainlink" or "table", got "oracle"',
+        'config.chains[1].rpcUrls: at least one RPC endpoint is required',
+        'config.chains[1].contracts: at least one contract is required',
+        'config.chains[1].tokens.usdt: either decimals or address is required',
+        'config.chains[1].tokens.token: either decimals or address is required',
+        'config.chains: duplicate chain name "ETH"',
+    ]);
+});
+
+test('loads the network registry shipped with the repository', () => {
+    for (const name of ['ETH', 'BSC', 'POLYGON']) {
+        process.env[`${name}_RPC_URL`] = process.env[`${name}_RPC_URL`] || 'https://rpc.example';
+        process.env[`${name}_CONTRACT_ADDRESS`] = process.env[`${name}_CONTRACT_ADDRESS`] || CONTRACT;
+    }
+    const { chains } = loadConfig(path.join(__dirname, '..', 'config', 'networks.json'));
+    assert.ok(chains.length >= 3);
+    for (const chain of chains) assert.ok(chain.priceSource, `${chain.name} has a default price feed`);
+});
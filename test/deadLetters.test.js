@@ -0,0 +1,74 @@
+require('./helpers/env');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { replayDeadLetter, getTransactionsByHash } = require('../src/transactions');
+const { DEAD_LETTER_FILE, addDeadLetter, getDeadLetter, listDeadLetters, drainDeadLetters } = require('../src/deadLetters');
+const deadLettersCommand = require('../src/commands/deadLetters');
+const { FakeChain } = require('./helpers/chain');
+
+const BUYER = '0x0000000000000000000000000000000000000c11';
+
+// Helper function to dead-letter the insert of a confirmed purchase in `blockNumber` of `chain`
+function deadLetterPurchase(chain, chainName, blockNumber) {
+    const transactionHash = ethers.utils.id(`dead-letter:${chainName}:${blockNumber}`);
+    addDeadLetter('transaction', {
+        eventName: 'BoughtWithNative',
+        user: BUYER,
+        tokenDeposit: '1',
+        amount: '100',
+        paymentType: 'native',
+        transactionHash,
+        blockNumber,
+        blockTimestamp: new Date((1760000000 + blockNumber * 12) * 1000).toISOString(),
+        chainName,
+        meta: { blockHash: chain.hashOf(blockNumber), logIndex: 0, status: 'confirmed' },
+    }, new Error('database unavailable'));
+    return transactionHash;
+}
+
+test('replays dead-lettered transactions whose block is still on the chain and skips reorged ones', async () => {
+    const chain = new FakeChain();
+    chain.head = 10;
+    const kept = deadLetterPurchase(chain, 'REPLAY', 4);
+    const reorged = deadLetterPurchase(chain, 'REPLAY', 8);
+    chain.reorg(7);
+
+    const replayed = await drainDeadLetters((entry) => replayDeadLetter(entry, () => chain));
+    assert.equal(replayed, 2);
+    assert.deepEqual(listDeadLetters('open'), []);
+    assert.equal((await getTransactionsByHash(kept)).length, 1);
+    assert.deepEqual(await getTransactionsByHash(reorged), []);
+    assert.equal((await storage.getChainDeposit(BUYER, 'REPLAY')).total_token_amount, '100');
+});
+
+test('keeps a dead-lettered transaction open while its block cannot be read', async () => {
+    const chain = new FakeChain();
+    chain.head = 10;
+    deadLetterPurchase(chain, 'UNREADABLE', 5);
+    chain.head = 3;
+
+    assert.equal(await drainDeadLetters((entry) => replayDeadLetter(entry, () => chain)), 0);
+    const [entry] = listDeadLetters('open');
+    assert.match(entry.lastError.message, /Block 5 of UNREADABLE not found/);
+});
+
+test('discards dead letters only when no other process holds the queue', async (t) => {
+    const [entry] = listDeadLetters('open');
+    const lockFile = `${DEAD_LETTER_FILE}.lock`;
+    // The parent process stands for a running indexer
+    fs.writeFileSync(lockFile, String(process.ppid));
+    t.after(() => fs.rmSync(lockFile, { force: true }));
+
+    await assert.rejects(deadLettersCommand.run(['discard', entry.id]), /in use by process/);
+    assert.equal(getDeadLetter(entry.id).status, 'open');
+
+    fs.rmSync(lockFile);
+    const log = t.mock.method(console, 'log', () => {});
+    await deadLettersCommand.run(['discard', entry.id]);
+    assert.equal(getDeadLetter(entry.id).status, 'discarded');
+    assert.equal(fs.existsSync(lockFile), false);
+    assert.match(log.mock.calls[0].arguments[0], /discarded/);
+});
@@ -0,0 +1,62 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { startTransactionEnricher } = require('../src/enrichment');
+
+const DECIMALS = { native: 18, usdt: 6, token: 18 };
+const CHAIN = { name: 'ENRICH', tokens: { usdt: {} } };
+
+function insertPurchase(transactionHash, logIndex) {
+    return storage.insertTransaction({
+        address: '0x0000000000000000000000000000000000000b01',
+        transaction_hash: transactionHash,
+        log_index: logIndex,
+        chain_name: CHAIN.name,
+        event_name: 'BoughtWithNative',
+        payment_type: 'native',
+        deposit_amount: '1',
+        token_amount: '100',
+        block_number: logIndex + 1,
+        status: 'confirmed',
+    });
+}
+
+// Provider knowing only `found`, reading `broken` throws and every other transaction is unknown
+function fakeProvider(found, broken) {
+    const receipt = {
+        from: '0x0000000000000000000000000000000000000B01',
+        to: '0x00000000000000000000000000000000000000CC',
+        status: 1,
+        gasUsed: ethers.BigNumber.from(21000),
+        effectiveGasPrice: ethers.BigNumber.from(10),
+        logs: [],
+    };
+    const lookup = async (hash) => {
+        if (hash === broken) throw new Error('missing trie node');
+        return hash === found ? { value: ethers.utils.parseEther('1'), ...receipt } : null;
+    };
+    return { getTransaction: lookup, getTransactionReceipt: lookup };
+}
+
+test('enriches the rows after a transaction that cannot be read and backs off on it', async () => {
+    const missing = await insertPurchase('0x01', 0);
+    const broken = await insertPurchase('0x02', 1);
+    const found = await insertPurchase('0x03', 2);
+
+    await startTransactionEnricher(fakeProvider('0x03', '0x02'), CHAIN, DECIMALS)();
+
+    const rows = await storage.getTransactionsByHash('0x03');
+    assert.equal(rows[0].id, found.id);
+    assert.equal(rows[0].tx_fee, '0.00000000000021');
+    for (const row of [missing, broken]) {
+        const [stored] = await storage.getTransactionsByHash(row.transaction_hash);
+        assert.equal(stored.enriched_at, undefined);
+        assert.equal(stored.enrich_attempts, 1);
+        assert.ok(stored.enrich_next_attempt_at > new Date().toISOString());
+    }
+    assert.equal((await storage.getTransactionsByHash('0x02'))[0].enrich_error, 'missing trie node');
+    // Not due again yet
+    assert.deepEqual(await storage.getUnenrichedTransactions(CHAIN.name, 10), []);
+});
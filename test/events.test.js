@@ -0,0 +1,159 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    TRANSACTIONS_TABLE,
+    loadEventDefinitions,
+    findEventDefinition,
+    getEventTables,
+    mapEventColumns,
+} = require('../src/events');
+
+const USER = '0x00000000000000000000000000000000000000AA';
+const DECIMALS = { native: 18, usdt: 6, token: 18 };
+
+// Helper function to write an event config and load it
+function load(name, config) {
+    const file = path.join(dir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return loadEventDefinitions(file);
+}
+
+// Helper function to build a decoded event the way ethers hands it to the listeners
+function decodedEvent(signature, args) {
+    return { eventSignature: ethers.utils.Fragment.from(signature).format(), args };
+}
+
+test('loads the default event config into the transaction table', () => {
+    const definitions = loadEventDefinitions();
+    assert.deepEqual(definitions.map((definition) => definition.name), ['BoughtWithNative', 'BoughtWithUSDT', 'claimHistory']);
+    assert.ok(definitions.every((definition) => definition.table === TRANSACTIONS_TABLE));
+    assert.deepEqual(getEventTables(), []);
+});
+
+test('finds the definition of a decoded event and ignores unknown events', () => {
+    const event = decodedEvent('event BoughtWithUSDT(address user, uint256 tokenDeposit, uint256 amount, uint256 timestamp)', {});
+    assert.equal(findEventDefinition(event).name, 'BoughtWithUSDT');
+    assert.equal(findEventDefinition({ eventSignature: 'Transfer(address,address,uint256)' }), undefined);
+});
+
+test('maps the columns of a native purchase, valued at the price of its block', async () => {
+    const definition = findEventDefinition(decodedEvent(
+        'event BoughtWithNative(address user, uint256 tokenDeposit, uint256 amount, uint256 timestamp)', {},
+    ));
+    const event = decodedEvent(definition.signature, {
+        user: USER,
+        tokenDeposit: ethers.utils.parseEther('2'),
+        amount: ethers.utils.parseEther('100'),
+        timestamp: ethers.BigNumber.from(1700000000),
+    });
+
+    const priceLookups = [];
+    const values = await mapEventColumns(definition, event, DECIMALS, async (blockTimestamp) => {
+        priceLookups.push(blockTimestamp);
+        return '2500.5';
+    });
+
+    assert.deepEqual(values, {
+        address: USER.toLowerCase(),
+        payment_type: 'native',
+        deposit_amount: '2',
+        deposit_amount_raw: '2000000000000000000',
+        deposit_amount_usd: '5001',
+        native_usd_price: '2500.5',
+        token_amount: '100',
+        token_amount_raw: '100000000000000000000',
+        block_timestamp: new Date(1700000000 * 1000),
+    });
+    // The price is looked up once, by the block time
+    assert.deepEqual(priceLookups, [new Date(1700000000 * 1000)]);
+});
+
+test('leaves the USD value empty when the block has no price', async () => {
+    const definition = findEventDefinition(decodedEvent(
+        'event BoughtWithNative(address user, uint256 tokenDeposit, uint256 amount, uint256 timestamp)', {},
+    ));
+    const event = decodedEvent(definition.signature, {
+        user: USER,
+        tokenDeposit: ethers.utils.parseEther('1'),
+        amount: ethers.utils.parseEther('10'),
+        timestamp: ethers.BigNumber.from(1700000000),
+    });
+
+    const values = await mapEventColumns(definition, event, DECIMALS, async () => null);
+    assert.equal(values.deposit_amount_usd, null);
+    assert.equal(values.native_usd_price, null);
+});
+
+test('maps events of other tables with fixed decimals and plain arguments', async () => {
+    const [definition] = load('vesting', {
+        events: [{
+            signature: 'event VestingScheduled(address indexed beneficiary, uint256 amount, uint256[] releases)',
+            table: 'vesting_schedules',
+            columns: {
+                beneficiary: { arg: 'beneficiary', convert: 'address' },
+                amount: { arg: 'amount', convert: 'decimals', decimals: 6 },
+                releases: { arg: 'releases' },
+                source: { value: 'presale' },
+            },
+        }],
+    });
+    assert.equal(definition.table, 'vesting_schedules');
+    assert.equal(definition.key, 'VestingScheduled(address,uint256,uint256[])');
+
+    const event = decodedEvent(definition.signature, {
+        beneficiary: USER,
+        amount: ethers.BigNumber.from('1500000'),
+        releases: [ethers.BigNumber.from(1), ethers.BigNumber.from(2)],
+    });
+    const values = await mapEventColumns(definition, event, DECIMALS, async () => {
+        throw new Error('no price is needed');
+    });
+    assert.deepEqual(values, {
+        beneficiary: USER.toLowerCase(),
+        amount: '1.5',
+        releases: ['1', '2'],
+        source: 'presale',
+    });
+});
+
+test('reports every problem of an invalid event config at once', () => {
+    assert.throws(() => load('invalid', {
+        events: [
+            {
+                signature: 'event Bought(address user, uint256 amount)',
+                table: TRANSACTIONS_TABLE,
+                columns: {
+                    address: { arg: 'buyer', convert: 'address' },
+                    token_amount: { arg: 'amount', convert: 'wei' },
+                    referrer: { value: 'none' },
+                },
+            },
+            { signature: 'function buy(uint256 amount)', table: 'purchases', columns: {} },
+            { signature: 'event Claimed(uint256 amount)', table: 'Claims!', columns: { amount: { arg: 'amount', convert: 'usd' } } },
+        ],
+    }), (err) => {
+        assert.match(err.message, /^Invalid event config /);
+        assert.match(err.message, /events\[0\]\.columns\.address\.arg: Bought has no argument "buyer"/);
+        assert.match(err.message, /events\[0\]\.columns\.token_amount\.convert: expected one of/);
+        assert.match(err.message, /events\[0\]\.columns\.referrer: not a column of user_transactions/);
+        assert.match(err.message, /events\[0\]\.columns\.payment_type: required for user_transactions/);
+        assert.match(err.message, /events\[0\]\.columns\.block_timestamp: required for user_transactions/);
+        assert.match(err.message, /events\[1\]\.signature: invalid event signature/);
+        assert.match(err.message, /events\[2\]\.table: expected a table name/);
+        assert.match(err.message, /events\[2\]\.columns\.amount\.decimals: expected a number or one of native, usdt, token/);
+        return true;
+    });
+});
+
+test('rejects an empty config, duplicate events and unreadable files', () => {
+    assert.throws(() => load('empty', { events: [] }), /events: at least one event is required/);
+
+    const event = { signature: 'event Claimed(uint256 amount)', table: 'claims', columns: { amount: { arg: 'amount' } } };
+    assert.throws(() => load('duplicate', { events: [event, event] }), /events: Claimed\(uint256\) is defined twice/);
+
+    assert.throws(() => loadEventDefinitions(path.join(dir, 'missing.json')), /Cannot read event config .*missing\.json/);
+});
@@ -0,0 +1,91 @@
+const { dir } = require('./helpers/env');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storage } = require('../src/storage');
+const { toRawAmount } = require('../src/amounts');
+const { exportAllocations, exportTransactions, formatCsv } = require('../src/export');
+
+const CLEAN = '0x0000000000000000000000000000000000000b01';
+const FLAGGED = '0x0000000000000000000000000000000000000b02';
+let logIndex = 0;
+
+function storeConfirmed(fields) {
+    return storage.insertTransaction({
+        chain_name: 'ETH',
+        transaction_hash: '0x' + String(logIndex).padStart(64, '0'),
+        log_index: logIndex++,
+        block_number: 10,
+        block_timestamp: '2026-10-01T10:00:00.000Z',
+        event_name: 'BoughtWithNative',
+        payment_type: 'native',
+        deposit_amount: '1',
+        deposit_amount_usd: '2000',
+        status: 'confirmed',
+        ...fields,
+    });
+}
+
+test.before(async () => {
+    await storeConfirmed({ address: CLEAN, token_amount: '100.5' });
+    await storeConfirmed({ address: CLEAN, event_name: 'claimHistory', payment_type: 'claim', deposit_amount: '0', token_amount: '0.5' });
+    await storeConfirmed({ chain_name: 'BSC', address: CLEAN, token_amount: '10' });
+    // Flagged on an earlier purchase only: the wallet is flagged whatever the time filter
+    await storeConfirmed({ address: FLAGGED, token_amount: '50', compliance_flags: ['needs_review'], block_timestamp: '2026-09-01T00:00:00.000Z' });
+    await storeConfirmed({ address: FLAGGED, token_amount: '25' });
+});
+
+test('scales amounts to raw integers, dropping the digits beyond the decimals', () => {
+    assert.equal(toRawAmount('100.5', 18), '100500000000000000000');
+    assert.equal(toRawAmount('1.234567', 6), '1234567');
+    assert.equal(toRawAmount('0.0000001', 6), '0');
+    assert.throws(() => toRawAmount('1', 19));
+});
+
+test('leaves flagged wallets out of the allocation unless asked for', async () => {
+    const allocation = await exportAllocations({}, { amountField: 'claimable', decimals: 6 });
+    assert.deepEqual(allocation.rows, [{
+        address: CLEAN,
+        amount: '110',
+        amount_raw: '110000000',
+        tokens_purchased: '110.5',
+        tokens_claimed: '0.5',
+        tokens_claimable: '110',
+        chains: 'BSC;ETH',
+        flags: '',
+    }]);
+    assert.equal(allocation.total, '110');
+    assert.equal(allocation.excluded, 1);
+
+    const recent = { from: new Date('2026-10-01T00:00:00Z') };
+    const withFlagged = await exportAllocations(recent, { amountField: 'purchased', decimals: 18, includeFlagged: true });
+    assert.deepEqual(withFlagged.rows.map((row) => [row.address, row.amount, row.flags]), [
+        [CLEAN, '110.5', ''],
+        [FLAGGED, '25', 'needs_review'],
+    ]);
+    assert.equal(withFlagged.excluded, 0);
+});
+
+test('exports transactions as CSV in block time order', async () => {
+    const csv = formatCsv(await exportTransactions({ chains: ['ETH'] }));
+    const [header, ...lines] = csv.trim().split('\n');
+    assert.equal(header.split(',')[0], 'chain');
+    assert.equal(lines.length, 4);
+    assert.match(lines[0], new RegExp(`^ETH,${FLAGGED},BoughtWithNative,native,1,`));
+    assert.match(lines[0], /,needs_review$/);
+});
+
+test('writes only the export to stdout, logs included', () => {
+    const env = { ...process.env, STORAGE_FILE: path.join(dir, 'cli-storage.json'), LOG_LEVEL: 'info' };
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli.js'), 'export', 'allocations', '--format', 'json', '--output', '-'], {
+        cwd: dir,
+        env,
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), []);
+    // A new local storage file is migrated, which is logged
+    assert.match(result.stderr, /Local storage migrated/);
+});
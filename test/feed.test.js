@@ -0,0 +1,118 @@
+require('./helpers/env');
+process.env.FEED_POLL_INTERVAL_MS = '20';
+process.env.FEED_RELOAD_INTERVAL_MS = '300';
+process.env.FEED_MAX_SUBSCRIBERS = '3';
+process.env.FEED_MAX_BUFFERED_BYTES = '1000';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { storage } = require('../src/storage');
+const { removeTransactionsFromBlock } = require('../src/transactions');
+const { startLiveFeed, isFeedFull, subscribeToFeed, closeLiveFeed } = require('../src/feed');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+
+function insertPurchase(chainName, transactionHash, status) {
+    return storage.insertTransaction({
+        contract_address: CONTRACT,
+        address: '0x0000000000000000000000000000000000000c01',
+        transaction_hash: transactionHash,
+        log_index: 0,
+        chain_name: chainName,
+        event_name: 'BoughtWithUsdt',
+        payment_type: 'usdt',
+        deposit_amount: '25',
+        token_amount: '500',
+        block_number: 7,
+        status,
+    });
+}
+
+// Helper function to subscribe a fake response and read back the events written to it
+function subscribe(filters, res = {}) {
+    const chunks = [];
+    const req = { socket: { destroyed: false }, on() {} };
+    Object.assign(res, { writeHead() {}, write: (chunk) => chunks.push(chunk), end() {}, destroy() {}, ...res });
+    const events = () => chunks.filter((chunk) => chunk.startsWith('event:')).map((chunk) => {
+        const [event, data] = chunk.trim().split('\n');
+        return { event: event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+    });
+    return subscribeToFeed(req, res, filters).then(() => events);
+}
+
+test('pushes the transactions confirmed in storage by any instance, once', async (t) => {
+    startLiveFeed();
+    t.after(closeLiveFeed);
+    await insertPurchase('FEED', '0xf1', 'confirmed');
+    const pending = await insertPurchase('FEED', '0xf2', 'pending');
+
+    const events = await subscribe({});
+    assert.equal(events()[0].data.totals.total.purchases, 1);
+
+    // Confirmed by another instance, straight in storage
+    await insertPurchase('OTHER', '0xf3', 'confirmed');
+    await storage.updateTransactionStatus(pending.id, 'pending', 'confirmed');
+    await sleep(100);
+
+    const purchases = events().filter((event) => event.event === 'purchase');
+    assert.deepEqual(purchases.map((event) => event.data.transaction.chain).sort(), ['FEED', 'OTHER']);
+    assert.equal(purchases[1].data.totals.total.purchases, 3);
+    assert.equal(purchases[0].data.transaction.address, '0x0000...0c01');
+    assert.equal('blockNumber' in purchases[0].data.transaction, false);
+});
+
+test('counts the subscribers waiting for the totals against the limit', async (t) => {
+    startLiveFeed();
+    t.after(closeLiveFeed);
+
+    const subscriptions = [subscribe({}), subscribe({}), subscribe({})];
+    assert.equal(isFeedFull(), true);
+    await Promise.all(subscriptions);
+    assert.equal(isFeedFull(), true);
+});
+
+test('disconnects a subscriber that does not read its stream', async (t) => {
+    startLiveFeed();
+    t.after(closeLiveFeed);
+
+    let destroyed = false;
+    const res = { writableLength: 0, destroy: () => { destroyed = true; } };
+    const events = await subscribe({ chains: ['SLOW'] }, res);
+    res.writableLength = 5000;
+
+    await insertPurchase('SLOW', '0xf4', 'confirmed');
+    await sleep(100);
+    assert.equal(destroyed, true);
+    await insertPurchase('SLOW', '0xf5', 'confirmed');
+    await sleep(100);
+    assert.equal(events().filter((event) => event.event === 'purchase').length, 1);
+});
+
+test('takes confirmed purchases removed by a reorg back out of the totals', async (t) => {
+    startLiveFeed();
+    t.after(closeLiveFeed);
+    await insertPurchase('REORG', '0xf6', 'confirmed');
+    const other = await insertPurchase('REORG_OTHER', '0xf7', 'confirmed');
+    await sleep(100);
+
+    const totals = async (chainName) => (await subscribe({ chains: [chainName] }))()[0].data.totals.total;
+    assert.deepEqual([(await totals('REORG')).purchases, (await totals('REORG')).buyers], [1, 1]);
+
+    // Removed by this instance
+    await removeTransactionsFromBlock('REORG', CONTRACT, 7);
+    assert.deepEqual(await totals('REORG'), {
+        raisedUsdt: '0',
+        raisedUsd: '0',
+        tokensSold: '0',
+        tokensClaimed: '0',
+        purchases: 0,
+        claims: 0,
+        buyers: 0,
+    });
+
+    // Removed by the instance indexing the chain, seen when the totals are read again
+    assert.equal((await totals('REORG_OTHER')).purchases, 1);
+    await storage.deleteTransaction(other.id);
+    await sleep(400);
+    assert.equal((await totals('REORG_OTHER')).purchases, 0);
+});
@@ -0,0 +1,56 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { acquireFileLock, releaseFileLock } = require('../src/fileLock');
+const { DEAD_LETTER_FILE, lockDeadLetters, unlockDeadLetters } = require('../src/deadLetters');
+
+// Pid of a process that has exited
+function exitedPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('refuses a lock held by another live process', () => {
+    const file = path.join(dir, 'held.json');
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+
+    assert.deepEqual(acquireFileLock(file), { acquired: false, pid: process.ppid });
+    assert.equal(fs.readFileSync(`${file}.lock`, 'utf8'), String(process.ppid));
+});
+
+test('takes over the lock of a process that is gone, and releases it', () => {
+    const file = path.join(dir, 'stale.json');
+    fs.writeFileSync(`${file}.lock`, String(exitedPid()));
+
+    assert.deepEqual(acquireFileLock(file), { acquired: true, pid: process.pid });
+    assert.equal(fs.readFileSync(`${file}.lock`, 'utf8'), String(process.pid));
+    releaseFileLock(file);
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('does not replay dead letters while another process holds the queue', () => {
+    fs.writeFileSync(`${DEAD_LETTER_FILE}.lock`, String(process.ppid));
+    assert.throws(() => lockDeadLetters(), /in use by process/);
+
+    fs.writeFileSync(`${DEAD_LETTER_FILE}.lock`, String(exitedPid()));
+    lockDeadLetters();
+    unlockDeadLetters();
+    assert.equal(fs.existsSync(`${DEAD_LETTER_FILE}.lock`), false);
+});
+
+test('opens the local storage of a running indexer read-only', async () => {
+    const { createLocalStorage } = require('../src/storage/local');
+    const file = path.join(dir, 'indexer.json');
+    const indexer = createLocalStorage(file);
+    await indexer.saveCheckpoint('ETH', '0x0000000000000000000000000000000000000001', 5);
+    indexer.flush();
+    // The file is now held by another process
+    releaseFileLock(file);
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+
+    const cli = createLocalStorage(file);
+    assert.equal(await cli.getCheckpoint('ETH', '0x0000000000000000000000000000000000000001'), 5);
+    await assert.rejects(cli.saveCheckpoint('ETH', '0x0000000000000000000000000000000000000001', 9), /in use by process/);
+});
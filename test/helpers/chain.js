@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { contractABI } = require('../../src/contract');
+
+const contractInterface = new ethers.utils.Interface(contractABI);
+
+// Helper function to build a block hash that changes with the fork a block belongs to
+function blockHash(number, fork) {
+    return ethers.utils.id(`block:${number}:${fork}`);
+}
+
+// A chain held in memory for the listener tests: blocks with their hashes and the contract logs in them.
+// `reorg(fromBlock)` moves every block from `fromBlock` on to a new fork and drops their logs.
+class FakeChain extends ethers.providers.BaseProvider {
+    constructor() {
+        super({ name: 'test', chainId: 1337 });
+        this.head = 0;
+        this.forks = new Map();
+        this.logs = [];
+        this.blocks = new EventEmitter();
+    }
+
+    async detectNetwork() {
+        return { name: 'test', chainId: 1337 };
+    }
+
+    hashOf(number) {
+        return blockHash(number, this.forks.get(number) || 0);
+    }
+
+    // Function to add a contract event log in `blockNumber`
+    addEvent(contractAddress, blockNumber, eventName, args, transactionHash = ethers.utils.id(`tx:${blockNumber}:${this.logs.length}`)) {
+        const { data, topics } = contractInterface.encodeEventLog(contractInterface.getEvent(eventName), args);
+        const log = {
+            address: ethers.utils.getAddress(contractAddress),
+            blockNumber,
+            transactionHash,
+            transactionIndex: 0,
+            logIndex: this.logs.filter((candidate) => candidate.blockNumber === blockNumber).length,
+            removed: false,
+            data,
+            topics,
+        };
+        this.logs.push(log);
+        return log;
+    }
+
+    reorg(fromBlock) {
+        for (let number = fromBlock; number <= this.head; number++) {
+            this.forks.set(number, (this.forks.get(number) || 0) + 1);
+        }
+        this.logs = this.logs.filter((log) => log.blockNumber < fromBlock);
+    }
+
+    // Function to move the head and announce the new block, the way src/rpc.js subscriptions do
+    mine(blockNumber) {
+        this.head = blockNumber;
+        this.blocks.emit('block', blockNumber);
+    }
+
+    async perform(method, params) {
+        if (method === 'getBlockNumber') return this.head;
+        if (method === 'getBlock') {
+            const number = ethers.BigNumber.from(params.blockTag).toNumber();
+            if (number > this.head) return null;
+            return {
+                number: ethers.utils.hexValue(number),
+                hash: this.hashOf(number),
+                parentHash: number > 0 ? this.hashOf(number - 1) : ethers.constants.HashZero,
+                timestamp: ethers.utils.hexValue(1760000000 + number * 12),
+                nonce: '0x0000000000000000',
+                difficulty: '0x0',
+                gasLimit: '0x1c9c380',
+                gasUsed: '0x0',
+                miner: ethers.constants.AddressZero,
+                extraData: '0x',
+                transactions: [],
+            };
+        }
+        if (method === 'getLogs') {
+            const fromBlock = ethers.BigNumber.from(params.filter.fromBlock).toNumber();
+            const toBlock = ethers.BigNumber.from(params.filter.toBlock).toNumber();
+            return this.logs
+                .filter((log) => log.address.toLowerCase() === params.filter.address.toLowerCase())
+                .filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+                .map((log) => ({ ...log, blockHash: this.hashOf(log.blockNumber) }));
+        }
+        throw new Error(`FakeChain does not support ${method}`);
+    }
+}
+
+module.exports = { FakeChain };
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file runs in its own process with an empty local storage file, quiet logs and its own
+// dead-letter queue. Required before anything from src/, which reads these variables when it loads.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-test-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_FILE = path.join(dir, 'storage.json');
+process.env.DEAD_LETTER_FILE = path.join(dir, 'dead-letters.ndjson');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+module.exports = { dir };
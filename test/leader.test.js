@@ -0,0 +1,42 @@
+require('./helpers/env');
+process.env.LEASE_TTL_MS = '300';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { getStorage } = require('../src/storage');
+const { runForLeadership } = require('../src/leader');
+
+test('steps down before its lease expires when a renewal hangs, and leads again once it renews', async () => {
+    const storage = getStorage();
+    const acquireLease = storage.acquireLease;
+    const changes = [];
+    const leadership = runForLeadership('hanging-job', {
+        onAcquired() { changes.push(['acquired', Date.now()]); },
+        onLost() { changes.push(['lost', Date.now()]); },
+    });
+    await sleep(50);
+    assert.deepEqual(changes.map(([change]) => change), ['acquired']);
+
+    // The lease call never settles, e.g. a request without a timeout
+    const lastRenewedAt = Date.now();
+    storage.acquireLease = () => new Promise(() => {});
+    await sleep(400);
+    assert.deepEqual(changes.map(([change]) => change), ['acquired', 'lost']);
+    assert.ok(changes[1][1] - lastRenewedAt < 300, 'stepped down before the lease could expire');
+
+    storage.acquireLease = acquireLease;
+    await sleep(250);
+    assert.deepEqual(changes.map(([change]) => change), ['acquired', 'lost', 'acquired']);
+    await leadership.stop();
+    assert.equal(changes.at(-1)[0], 'lost');
+});
+
+test('a standby instance does not take a lease held by another instance', async () => {
+    const storage = getStorage();
+    await storage.acquireLease('held-job', 'other-instance', new Date(Date.now() + 60000));
+    let acquired = false;
+    const leadership = runForLeadership('held-job', { onAcquired() { acquired = true; }, onLost() {} });
+    await sleep(50);
+    await leadership.stop();
+    assert.equal(acquired, false);
+});
@@ -0,0 +1,183 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { getCheckpoint } = require('../src/checkpoints');
+const { handleEvent } = require('../src/handlers');
+const { listenToContractEvents } = require('../src/listener');
+const { FakeChain } = require('./helpers/chain');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+const DECIMALS = { native: 18, usdt: 6, token: 18 };
+const priceSource = { async getPrice() { return '2000'; } };
+
+// Helper function to run a listener on a fake chain; every test uses its own chain name and buyer
+function startListener(chain, name, confirmations) {
+    const config = { name, confirmations };
+    const contract = { name: 'presale', address: CONTRACT, startBlock: 1 };
+    return listenToContractEvents(chain, chain.blocks, config, contract, DECIMALS, priceSource, new AbortController().signal);
+}
+
+function buyNative(chain, blockNumber, buyer) {
+    return chain.addEvent(CONTRACT, blockNumber, 'BoughtWithNative', [
+        buyer,
+        ethers.utils.parseEther('1.5'),
+        ethers.utils.parseEther('100'),
+        1760000000,
+    ]);
+}
+
+async function chainRows(name) {
+    return storage.findTransactions({ chainName: name, contractAddress: CONTRACT });
+}
+
+test('stores recent events as pending and confirms them once deep enough', async () => {
+    const chain = new FakeChain();
+    const buyer = '0x0000000000000000000000000000000000000a01';
+    buyNative(chain, 9, buyer);
+    buyNative(chain, 10, buyer);
+    chain.head = 10;
+
+    const stopListener = await startListener(chain, 'CONFIRM', 2);
+
+    let rows = await chainRows('CONFIRM');
+    assert.deepEqual(rows.map((row) => [row.block_number, row.status]), [[9, 'pending'], [10, 'pending']]);
+    assert.equal(await storage.getDeposit(buyer), null, 'pending events are not counted');
+    assert.equal(await getCheckpoint('CONFIRM', CONTRACT), 8);
+
+    chain.mine(11);
+    chain.mine(12);
+    await stopListener();
+
+    rows = await chainRows('CONFIRM');
+    assert.deepEqual(rows.map((row) => [row.block_number, row.status]), [[9, 'confirmed'], [10, 'confirmed']]);
+    const deposit = await storage.getDeposit(buyer);
+    assert.equal(deposit.total_native_deposit, '3');
+    assert.equal(deposit.total_token_amount, '200');
+    assert.equal(await getCheckpoint('CONFIRM', CONTRACT), 10);
+});
+
+test('rolls back the events of orphaned blocks and ingests the new fork', async () => {
+    const chain = new FakeChain();
+    const buyer = '0x0000000000000000000000000000000000000a02';
+    buyNative(chain, 5, buyer);
+    buyNative(chain, 11, buyer);
+    chain.head = 11;
+
+    const stopListener = await startListener(chain, 'REORG', 3);
+    assert.deepEqual((await chainRows('REORG')).map((row) => [row.block_number, row.status]), [[5, 'confirmed'], [11, 'pending']]);
+
+    // Block 10 and above are replaced; the purchase moves from block 11 to block 12 in another transaction
+    chain.reorg(10);
+    chain.head = 12;
+    const moved = buyNative(chain, 12, buyer);
+    chain.mine(12);
+    await stopListener();
+
+    const rows = await chainRows('REORG');
+    assert.deepEqual(rows.map((row) => [row.block_number, row.status]), [[5, 'confirmed'], [12, 'pending']]);
+    assert.equal(rows[1].transaction_hash, moved.transactionHash.toLowerCase());
+    assert.equal(rows[1].block_hash, chain.hashOf(12));
+    assert.equal((await storage.getDeposit(buyer)).total_native_deposit, '1.5', 'only the confirmed purchase is counted');
+    assert.equal(await getCheckpoint('REORG', CONTRACT), 9);
+});
+
+test('resumes from the checkpoint after a restart without storing events twice', async () => {
+    const chain = new FakeChain();
+    const buyer = '0x0000000000000000000000000000000000000a03';
+    buyNative(chain, 3, buyer);
+    buyNative(chain, 7, buyer);
+    chain.head = 8;
+
+    await (await startListener(chain, 'RESTART', 2))();
+    // The restarted listener removes the pending row above the checkpoint and ingests it again
+    chain.head = 9;
+    await (await startListener(chain, 'RESTART', 2))();
+
+    const rows = await chainRows('RESTART');
+    assert.deepEqual(rows.map((row) => [row.block_number, row.status]), [[3, 'confirmed'], [7, 'confirmed']]);
+    assert.equal((await storage.getDeposit(buyer)).total_native_deposit, '3');
+});
+
+test('stores an event once under its chain, transaction hash and log index', async () => {
+    const chain = new FakeChain();
+    const buyer = '0x0000000000000000000000000000000000000a04';
+    buyNative(chain, 4, buyer);
+    buyNative(chain, 4, buyer);
+    chain.head = 4;
+
+    const contract = new ethers.Contract(CONTRACT, require('../src/contract').contractABI, chain);
+    const events = await contract.queryFilter('*', 4, 4);
+    assert.equal(events.length, 2);
+
+    for (const event of [...events, ...events, events[0]]) {
+        await handleEvent(event, 'IDEMPOTENT', 'confirmed', DECIMALS, priceSource);
+    }
+
+    const rows = await chainRows('IDEMPOTENT');
+    assert.deepEqual(rows.map((row) => row.log_index), [0, 1]);
+    const deposit = await storage.getDeposit(buyer);
+    assert.equal(deposit.total_native_deposit, '3', 'the duplicates are not counted');
+    assert.equal(deposit.total_native_deposit_usd, '6000');
+
+    // The same hash and log index on another chain is another event
+    await handleEvent(events[0], 'IDEMPOTENT_2', 'confirmed', DECIMALS, priceSource);
+    assert.equal((await chainRows('IDEMPOTENT_2')).length, 1);
+});
+
+test('takes over a legacy row stored without a log index instead of counting its event again', async () => {
+    const chain = new FakeChain();
+    const buyer = '0x0000000000000000000000000000000000000a05';
+    const log = buyNative(chain, 6, buyer);
+    chain.head = 6;
+
+    // A row and balance written before events had an identity
+    await storage.insertTransaction({
+        address: buyer,
+        transaction_hash: log.transactionHash,
+        chain_name: 'LEGACY',
+        event_name: 'BoughtWithNative',
+        payment_type: 'native',
+        deposit_amount: '1.5',
+        token_amount: '100',
+        block_number: 6,
+        status: 'confirmed',
+    });
+    await storage.upsertDeposits([{ address: buyer, total_native_deposit: '1.5', total_token_amount: '100' }]);
+
+    await (await startListener(chain, 'LEGACY', 0))();
+
+    const rows = await chainRows('LEGACY');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].log_index, 0);
+    assert.equal(rows[0].contract_address, CONTRACT);
+    assert.equal(rows[0].status, 'confirmed');
+    assert.equal((await storage.getDeposit(buyer)).total_native_deposit, '1.5');
+});
+
+test('adds concurrent balance updates of one wallet without losing any', async () => {
+    const buyer = '0x0000000000000000000000000000000000000a06';
+    const { updateUserDeposit } = require('../src/transactions');
+
+    await Promise.all(['ETH', 'BSC', 'ETH', 'POLYGON', 'BSC'].map((chainName) => {
+        return updateUserDeposit(buyer, chainName, '0', '10', '2', 'usdt');
+    }));
+
+    const deposit = await storage.getDeposit(buyer);
+    assert.equal(deposit.total_usdt_deposit, '10');
+    assert.equal(deposit.total_token_amount, '50');
+    assert.equal(deposit.claimable_tokens, '50');
+    assert.equal((await storage.getChainDeposit(buyer, 'BSC')).total_usdt_deposit, '4');
+});
+
+test('refuses to start without a checkpoint or a start block', async () => {
+    const chain = new FakeChain();
+    chain.head = 50;
+    const contract = { name: 'presale', address: CONTRACT, startBlock: null };
+    await assert.rejects(
+        listenToContractEvents(chain, chain.blocks, { name: 'NO_START', confirmations: 2 }, contract, DECIMALS, priceSource, new AbortController().signal),
+        /No checkpoint for presale .* on NO_START and no startBlock configured/
+    );
+    assert.equal(await getCheckpoint('NO_START', CONTRACT), null);
+});
@@ -0,0 +1,67 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalStorage } = require('../src/storage/local');
+const { releaseFileLock } = require('../src/fileLock');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+
+function transaction(blockNumber, logIndex, status) {
+    return {
+        address: `0x${String(blockNumber % 100).padStart(40, '0')}`,
+        transaction_hash: `0x${blockNumber.toString(16)}`,
+        log_index: logIndex,
+        chain_name: 'LOCAL',
+        contract_address: CONTRACT,
+        event_name: 'BoughtWithUsdt',
+        payment_type: 'usdt',
+        deposit_amount: '1',
+        token_amount: '10',
+        block_number: blockNumber,
+        status,
+    };
+}
+
+test('batches the writes of a backfill into one write of the file', async () => {
+    const file = path.join(dir, 'backfill.json');
+    const storage = createLocalStorage(file);
+    const writeFileSync = fs.writeFileSync;
+    let writes = 0;
+    fs.writeFileSync = (...args) => {
+        writes++;
+        return writeFileSync(...args);
+    };
+    try {
+        for (let blockNumber = 1; blockNumber <= 20000; blockNumber++) {
+            await storage.insertTransaction(transaction(blockNumber, 0, blockNumber > 19990 ? 'pending' : 'confirmed'));
+            await storage.saveCheckpoint('LOCAL', CONTRACT, blockNumber);
+        }
+        storage.flush();
+    } finally {
+        fs.writeFileSync = writeFileSync;
+    }
+    assert.equal(writes, 1);
+
+    releaseFileLock(file);
+    const reopened = createLocalStorage(file);
+    assert.equal(await reopened.getCheckpoint('LOCAL', CONTRACT), 20000);
+    assert.equal((await reopened.findTransactions({ chainName: 'LOCAL', contractAddress: CONTRACT, status: 'pending' })).length, 10);
+    assert.equal((await reopened.getWalletTransactions(transaction(7, 0).address, { limit: 1000, offset: 0 })).total, 200);
+});
+
+test('keeps its indexes in step with status changes, deletes and re-inserts', async () => {
+    const storage = createLocalStorage(':memory:');
+    const first = await storage.insertTransaction(transaction(5, 0, 'pending'));
+    await storage.insertTransaction(transaction(6, 0, 'pending'));
+    assert.equal(await storage.insertTransaction(transaction(5, 0, 'pending')), null);
+
+    assert.equal(await storage.updateTransactionStatus(first.id, 'pending', 'confirmed'), true);
+    const pending = await storage.findTransactions({ chainName: 'LOCAL', contractAddress: CONTRACT, status: 'pending' });
+    assert.deepEqual(pending.map((row) => row.block_number), [6]);
+
+    assert.equal(await storage.deleteTransaction(first.id), true);
+    assert.deepEqual(await storage.getTransactionsByHash(first.transaction_hash), []);
+    assert.notEqual(await storage.insertTransaction(transaction(5, 0, 'pending')), null);
+});
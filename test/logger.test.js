@@ -0,0 +1,135 @@
+// The minimum level is read when the logger is loaded
+process.env.LOG_LEVEL = 'debug';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    logger,
+    sendLogsToStderr,
+    serializeError,
+    withLogContext,
+    getLogContext,
+    withEventContext,
+    eventCorrelationId,
+} = require('../src/logger');
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+// Helper function to collect the entries written to stdout and stderr while `fn` runs
+async function capture(fn) {
+    const written = { stdout: [], stderr: [] };
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    for (const name of ['stdout', 'stderr']) {
+        process[name].write = (chunk, ...rest) => {
+            // The test runner reports through the same streams
+            if (typeof chunk !== 'string' || !chunk.startsWith('{')) return originals[name].call(process[name], chunk, ...rest);
+            written[name].push(JSON.parse(chunk));
+            return true;
+        };
+    }
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return written;
+}
+
+test('writes debug and info to stdout and warn and error to stderr, one JSON line each', async () => {
+    const written = await capture(() => {
+        logger.debug('Checking block', { block: 12 });
+        logger.info('Transaction logged', { amount: ethers.BigNumber.from('1000000000000000000'), raw: 5n });
+        logger.warn('Provider lagging');
+        logger.error('Insert failed');
+    });
+
+    assert.deepEqual(written.stdout.map((entry) => [entry.level, entry.msg]), [['debug', 'Checking block'], ['info', 'Transaction logged']]);
+    assert.deepEqual(written.stderr.map((entry) => [entry.level, entry.msg]), [['warn', 'Provider lagging'], ['error', 'Insert failed']]);
+    assert.equal(written.stdout[0].block, 12);
+    // BigNumbers and bigints are written as decimal strings
+    assert.equal(written.stdout[1].amount, '1000000000000000000');
+    assert.equal(written.stdout[1].raw, '5');
+    assert.ok(!Number.isNaN(Date.parse(written.stdout[0].time)));
+});
+
+test('merges the log context, the child bindings and the entry fields, later ones winning', async () => {
+    const child = logger.child({ component: 'listener', chain: 'BSC' }).child({ contract: '0xcc' });
+
+    const written = await capture(() => withLogContext({ chain: 'ETH', requestId: 'r1' }, async () => {
+        await withLogContext({ requestId: 'r2' }, async () => {
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepEqual(getLogContext(), { chain: 'ETH', requestId: 'r2' });
+            child.info('Started', { contract: '0xdd' });
+        });
+        logger.info('Outer');
+    }));
+
+    const [inner, outer] = written.stdout;
+    assert.equal(inner.requestId, 'r2');
+    assert.equal(inner.chain, 'BSC');
+    assert.equal(inner.component, 'listener');
+    assert.equal(inner.contract, '0xdd');
+    assert.equal(outer.requestId, 'r1');
+    assert.equal(outer.chain, 'ETH');
+    assert.deepEqual(getLogContext(), {});
+});
+
+test('gives the same event the same correlation ID whenever it is handled', async () => {
+    const event = {
+        chainName: 'ETH',
+        contractAddress: '0x00000000000000000000000000000000000000CC',
+        eventName: 'BoughtWithNative',
+        transactionHash: TX_HASH,
+        blockNumber: 100,
+        logIndex: 3,
+    };
+
+    const written = await capture(async () => {
+        await withEventContext(event, () => logger.info('Transaction logged'));
+        await withEventContext({ ...event, transactionHash: TX_HASH.toUpperCase().replace('0X', '0x') }, () => logger.info('Transaction confirmed'));
+    });
+
+    const [logged, confirmed] = written.stdout;
+    assert.match(logged.correlationId, /^[0-9a-f]{16}$/);
+    assert.equal(confirmed.correlationId, logged.correlationId);
+    assert.equal(logged.correlationId, eventCorrelationId('ETH', TX_HASH, 3));
+    assert.notEqual(eventCorrelationId('ETH', TX_HASH, 4), logged.correlationId);
+    assert.notEqual(eventCorrelationId('BSC', TX_HASH, 3), logged.correlationId);
+    assert.equal(logged.contract, event.contractAddress.toLowerCase());
+    assert.equal(logged.event, 'BoughtWithNative');
+    assert.equal(logged.block, 100);
+    assert.equal(logged.logIndex, 3);
+});
+
+test('serializes errors, keeping the short reason of ethers errors', async () => {
+    const rpcError = new Error('missing response (requestBody="{}", url="https://rpc.example/secret-key")');
+    rpcError.reason = 'missing response';
+    rpcError.code = 'SERVER_ERROR';
+
+    assert.equal(serializeError(rpcError).message, 'missing response');
+    assert.equal(serializeError(rpcError).code, 'SERVER_ERROR');
+    assert.deepEqual(serializeError('timeout'), { message: 'timeout' });
+    assert.equal(serializeError(null), null);
+    assert.equal(serializeError({ message: 'duplicate key', code: '23505', details: 'Key exists' }).details, 'Key exists');
+
+    const written = await capture(() => logger.error('Insert failed', { err: rpcError, cause: new Error('socket hang up') }));
+    const [entry] = written.stderr;
+    assert.equal(entry.err.message, 'missing response');
+    assert.ok(!JSON.stringify(entry.err.message).includes('secret-key'));
+    assert.equal(entry.cause.message, 'socket hang up');
+    assert.equal(entry.cause.name, 'Error');
+});
+
+// Runs last, the switch to stderr cannot be undone
+test('writes every entry to stderr once logs are sent there', async () => {
+    sendLogsToStderr();
+    const written = await capture(() => {
+        logger.debug('Migrating');
+        logger.info('Migrated');
+    });
+
+    assert.deepEqual(written.stdout, []);
+    assert.deepEqual(written.stderr.map((entry) => entry.msg), ['Migrating', 'Migrated']);
+});
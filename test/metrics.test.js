@@ -0,0 +1,61 @@
+require('./helpers/env');
+process.env.STALL_THRESHOLD_SECONDS = '60';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../src/metrics');
+
+test('reports the lag of every contract and a chain whose blocks are old as stalled', () => {
+    const now = Math.floor(Date.now() / 1000);
+    metrics.recordChainHead('ETH', 120);
+    metrics.recordProcessedBlock('ETH', 'presale', 110, now - 10, 100);
+    metrics.recordChainHead('BSC', 500);
+    metrics.recordProcessedBlock('BSC', 'presale', 400, now - 3600, 390);
+
+    const health = metrics.getHealth();
+    assert.equal(health.healthy, false);
+    assert.equal(health.stallThresholdSeconds, 60);
+    assert.equal(health.chains.ETH.healthy, true);
+    const contract = health.chains.ETH.contracts.presale;
+    assert.equal(contract.lastConfirmedBlock, 100);
+    assert.equal(contract.lagBlocks, 10);
+    assert.ok(contract.lagSeconds >= 10 && contract.lagSeconds < 60);
+    assert.equal(contract.stalled, false);
+    assert.equal(health.chains.BSC.healthy, false);
+    assert.equal(health.chains.BSC.contracts.presale.stalled, true);
+
+    // A chain this instance no longer indexes is not reported
+    metrics.forgetChain('BSC');
+    assert.equal(metrics.getHealth().healthy, true);
+});
+
+test('renders the metrics in the Prometheus text format', () => {
+    metrics.recordEvent('ETH', 'BoughtWithNative');
+    metrics.recordEvent('ETH', 'BoughtWithNative');
+    metrics.recordWriteFailure('user_transactions');
+    metrics.recordRpcEndpointHealth('ETH', 'rpc.example', false);
+    metrics.recordWebSocketState('ETH', true);
+    metrics.recordWebSocketState('ETH', false);
+    metrics.recordWebSocketState('ETH', true);
+    metrics.recordLeadership('chain:ETH', true);
+    metrics.recordWebhookDelivery('crm "main"', 'delivered');
+
+    const lines = metrics.renderMetrics().trim().split('\n');
+    for (const line of [
+        '# TYPE indexer_up gauge',
+        'indexer_up 1',
+        'indexer_chain_head_block{chain="ETH"} 120',
+        'indexer_lag_blocks{chain="ETH",contract="presale"} 10',
+        'indexer_last_confirmed_block{chain="ETH",contract="presale"} 100',
+        '# TYPE indexer_events_processed_total counter',
+        'indexer_events_processed_total{chain="ETH",event="BoughtWithNative"} 2',
+        'indexer_db_write_failures_total{table="user_transactions"} 1',
+        'indexer_rpc_endpoint_up{chain="ETH",endpoint="rpc.example"} 0',
+        'indexer_websocket_connected{chain="ETH"} 1',
+        'indexer_websocket_connections_total{chain="ETH"} 2',
+        'indexer_leader{lease="chain:ETH"} 1',
+        'indexer_webhook_deliveries_total{subscription="crm \\"main\\"",outcome="delivered"} 1',
+    ]) {
+        assert.ok(lines.includes(line), `missing line: ${line}`);
+    }
+    assert.equal(lines.some((line) => line.includes('chain="BSC"')), false);
+});
@@ -0,0 +1,99 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { createPriceSource, startPriceRetrier } = require('../src/prices');
+const { FakeChain } = require('./helpers/chain');
+
+const AGGREGATOR = '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE';
+const aggregator = new ethers.utils.Interface([
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+
+// Chain with a Chainlink aggregator whose round at every block is `rounds(blockNumber)`. Without `archive`
+// the node only answers for the latest block.
+class AggregatorChain extends FakeChain {
+    constructor({ archive, rounds }) {
+        super();
+        this.archive = archive;
+        this.rounds = rounds;
+    }
+
+    async perform(method, params) {
+        if (method !== 'call') return super.perform(method, params);
+        const blockNumber = params.blockTag === 'latest' ? this.head : ethers.BigNumber.from(params.blockTag).toNumber();
+        if (!this.archive && blockNumber !== this.head) throw new Error('missing trie node');
+
+        const { name } = aggregator.parseTransaction({ data: params.transaction.data });
+        if (name === 'decimals') return aggregator.encodeFunctionResult(name, [8]);
+        const { answer, updatedAt } = this.rounds(blockNumber);
+        return aggregator.encodeFunctionResult(name, [1, answer, updatedAt, updatedAt, 1]);
+    }
+}
+
+function priceSource(chain) {
+    return createPriceSource({ name: 'PRICES', priceSource: { type: 'chainlink', address: AGGREGATOR } }, chain);
+}
+
+const HOUR = 3600;
+const BLOCK_TIME = 1760000000;
+
+test('reads the answer at the event block, and rejects stale or non-positive answers', async () => {
+    const chain = new AggregatorChain({
+        archive: true,
+        rounds: (blockNumber) => ({
+            answer: blockNumber === 3 ? 0 : 60000000000 + blockNumber,
+            updatedAt: blockNumber === 2 ? BLOCK_TIME - 2 * HOUR : BLOCK_TIME,
+        }),
+    });
+    chain.head = 10;
+    const source = priceSource(chain);
+
+    assert.equal(await source.getPrice(1, new Date(BLOCK_TIME * 1000)), '600.00000001');
+    assert.equal(await source.getPrice(2, new Date(BLOCK_TIME * 1000)), null);
+    assert.equal(await source.getPrice(3, new Date(BLOCK_TIME * 1000)), null);
+});
+
+test('falls back to the latest round without an archive node, unless it is too late for the block', async () => {
+    const chain = new AggregatorChain({ archive: false, rounds: () => ({ answer: 60000000000, updatedAt: BLOCK_TIME }) });
+    chain.head = 10;
+    const source = priceSource(chain);
+
+    assert.equal(await source.getPrice(9, new Date((BLOCK_TIME - 60) * 1000)), '600');
+    assert.equal(await source.getPrice(1, new Date((BLOCK_TIME - 2 * HOUR) * 1000)), null);
+});
+
+test('values confirmed purchases stored without a price and adds them to the USD balances', async () => {
+    const buyer = '0x0000000000000000000000000000000000000e01';
+    const rows = [];
+    for (const status of ['confirmed', 'pending']) {
+        rows.push(await storage.insertTransaction({
+            address: buyer,
+            transaction_hash: `0x0${rows.length}`,
+            log_index: 0,
+            chain_name: 'UNPRICED',
+            event_name: 'BoughtWithNative',
+            payment_type: 'native',
+            deposit_amount: '1.5',
+            token_amount: '100',
+            deposit_amount_usd: null,
+            native_usd_price: null,
+            block_number: 4,
+            block_timestamp: new Date(BLOCK_TIME * 1000),
+            status,
+        }));
+    }
+    await storage.upsertDeposits([{ address: buyer, total_native_deposit: '1.5', total_native_deposit_usd: '0', total_token_amount: '100' }]);
+
+    await startPriceRetrier({ async getPrice() { return '2000'; } }, { name: 'UNPRICED' })();
+    await startPriceRetrier({ async getPrice() { return '3000'; } }, { name: 'UNPRICED' })();
+
+    const [confirmed] = await storage.getTransactionsByHash('0x00');
+    assert.equal(confirmed.native_usd_price, '2000');
+    assert.equal(confirmed.deposit_amount_usd, '3000');
+    assert.equal((await storage.getTransactionsByHash('0x01'))[0].native_usd_price, null, 'pending rows are valued once confirmed');
+    assert.equal((await storage.getDeposit(buyer)).total_native_deposit_usd, '3000');
+    assert.equal((await storage.getChainDeposit(buyer, 'UNPRICED')).total_native_deposit_usd, '3000');
+});
@@ -0,0 +1,92 @@
+require('./helpers/env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { diffDeposits, fixDeposits, checkContractLogs } = require('../src/reconcile');
+const { FakeChain } = require('./helpers/chain');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+const BUYER = '0x0000000000000000000000000000000000000e01';
+const WALLET = '0x0000000000000000000000000000000000000e02';
+
+// Helper function to store the row of `log` as the indexer does, or as rows were stored before log indexes with `legacy`
+function storeRow(chainName, log, eventName, legacy) {
+    return storage.insertTransaction({
+        chain_name: chainName,
+        contract_address: legacy ? null : CONTRACT,
+        transaction_hash: log.transactionHash,
+        log_index: legacy ? null : log.logIndex,
+        block_hash: legacy ? null : log.blockHash,
+        block_number: log.blockNumber,
+        event_name: eventName,
+        address: BUYER,
+        status: 'confirmed',
+    });
+}
+
+test('matches legacy rows without a log index on transaction hash and event name', async () => {
+    const chain = new FakeChain();
+    const purchase = [BUYER, ethers.utils.parseEther('1'), ethers.utils.parseEther('10'), 1760000000];
+    const indexed = chain.addEvent(CONTRACT, 2, 'BoughtWithNative', purchase);
+    const legacy = chain.addEvent(CONTRACT, 3, 'BoughtWithNative', purchase);
+    const missing = chain.addEvent(CONTRACT, 4, 'claimHistory', [BUYER, ethers.utils.parseEther('5'), 1760000000]);
+    chain.head = 5;
+
+    await storeRow('RECONCILE', indexed, 'BoughtWithNative', false);
+    await storeRow('RECONCILE', legacy, 'BoughtWithNative', true);
+    // Same transaction as the claim but another event: not its row
+    await storeRow('RECONCILE', missing, 'BoughtWithUSDT', true);
+
+    const result = await checkContractLogs(chain, 'RECONCILE', CONTRACT, 0, 5, 2);
+
+    assert.equal(result.logs, 3);
+    assert.equal(result.stored, 2);
+    assert.equal(result.legacy, 1);
+    assert.deepEqual(result.missing.map((event) => event.transactionHash), [missing.transactionHash]);
+    assert.deepEqual(result.unexpected, []);
+    assert.deepEqual(result.unmatchedLegacy.map((row) => row.event_name), ['BoughtWithUSDT']);
+});
+
+test('recomputes the balances from the confirmed transactions and rewrites the ones that drifted', async () => {
+    const row = (fields) => ({
+        chain_name: 'BALANCES',
+        contract_address: CONTRACT,
+        transaction_hash: ethers.utils.id(`${fields.payment_type}:${fields.log_index}`),
+        block_number: 10,
+        address: WALLET,
+        status: 'confirmed',
+        ...fields,
+    });
+    await storage.insertTransaction(row({ log_index: 0, payment_type: 'native', deposit_amount: '1.5', deposit_amount_usd: '3000', token_amount: '150' }));
+    await storage.insertTransaction(row({ log_index: 1, payment_type: 'usdt', deposit_amount: '20', token_amount: '200' }));
+    await storage.insertTransaction(row({ log_index: 2, payment_type: 'claim', deposit_amount: '0', token_amount: '100' }));
+    // Pending rows are not part of the balances yet
+    await storage.insertTransaction(row({ log_index: 3, payment_type: 'usdt', deposit_amount: '5', token_amount: '50', status: 'pending' }));
+
+    const expected = {
+        total_native_deposit: '1.5',
+        total_native_deposit_usd: '3000',
+        total_usdt_deposit: '20',
+        total_token_amount: '350',
+        total_tokens_claimed: '100',
+        claimable_tokens: '250',
+    };
+    await storage.upsertDeposits([{ address: WALLET, ...expected, total_usdt_deposit: '25', claimable_tokens: '300' }]);
+    await storage.upsertChainDeposits([{ address: WALLET, chain_name: 'BALANCES', ...expected }]);
+
+    const before = await diffDeposits();
+    const walletDifference = before.deposits.differences.find((difference) => difference.key === WALLET);
+    assert.deepEqual(walletDifference.fields, ['total_usdt_deposit', 'claimable_tokens']);
+    assert.equal(walletDifference.computed.total_usdt_deposit, '20');
+    assert.ok(!before.chainDeposits.differences.some((difference) => difference.key === `${WALLET}:BALANCES`));
+
+    await fixDeposits(before);
+
+    const after = await diffDeposits();
+    assert.deepEqual(after.deposits.differences, []);
+    assert.deepEqual(after.chainDeposits.differences, []);
+    const [stored] = (await storage.listDeposits()).filter((deposit) => deposit.address === WALLET);
+    assert.equal(stored.total_usdt_deposit, '20');
+    assert.equal(stored.claimable_tokens, '250');
+});
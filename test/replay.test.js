@@ -0,0 +1,70 @@
+const { dir } = require('./helpers/env');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { storage } = require('../src/storage');
+const { createLogRecorder } = require('../src/logRecords');
+const replayCommand = require('../src/commands/replay');
+const { FakeChain } = require('./helpers/chain');
+
+const CONTRACT = '0x00000000000000000000000000000000000000cc';
+const BUYER = '0x0000000000000000000000000000000000000e11';
+const RECORDING = path.join(dir, 'recording.ndjson');
+
+// Offline network config: every decimal configured and a price table instead of a Chainlink feed
+process.env.NETWORKS_CONFIG = path.join(dir, 'networks.json');
+fs.writeFileSync(path.join(dir, 'prices.json'), JSON.stringify([{ timestamp: 1760000000, price: '2500' }]));
+fs.writeFileSync(process.env.NETWORKS_CONFIG, JSON.stringify({
+    chains: [{
+        name: 'OFFLINE',
+        rpcUrls: ['http://unused.invalid'],
+        tokens: { native: { decimals: 18 }, usdt: { decimals: 6 }, token: { decimals: 18 } },
+        priceSource: { type: 'table', file: path.join(dir, 'prices.json') },
+        contracts: [{ name: 'presale', address: CONTRACT, startBlock: 1 }],
+    }],
+}));
+
+// Helper function to run the command with its output captured
+async function runReplay(t, args) {
+    const output = t.mock.method(console, 'log', () => {});
+    await replayCommand.run(args);
+    const lines = output.mock.calls.map((call) => call.arguments[0]);
+    output.mock.restore();
+    return lines;
+}
+
+test('stores the recorded logs of a chain through the event handlers, once', async (t) => {
+    const chain = new FakeChain();
+    chain.addEvent(CONTRACT, 2, 'BoughtWithNative', [BUYER, ethers.utils.parseEther('2'), ethers.utils.parseEther('300'), 1760000024]);
+    chain.addEvent(CONTRACT, 3, 'BoughtWithUSDT', [BUYER, ethers.utils.parseUnits('40', 6), ethers.utils.parseEther('20'), 1760000036]);
+    chain.addEvent(CONTRACT, 4, 'claimHistory', [BUYER, ethers.utils.parseEther('100'), 1760000048]);
+    chain.head = 4;
+    const contract = new ethers.Contract(CONTRACT, require('../src/contract').contractABI, chain);
+    const recordLogs = createLogRecorder(RECORDING);
+    recordLogs('OFFLINE', await contract.queryFilter('*', 1, 4));
+    // A log of another contract event, which the ABI does not know
+    fs.appendFileSync(RECORDING, `${JSON.stringify({ chain: 'OFFLINE', address: CONTRACT, blockNumber: 4, logIndex: 1, topics: [ethers.utils.id('Paused()')], data: '0x' })}\n`);
+
+    assert.deepEqual(await runReplay(t, [RECORDING]), ['3 events replayed, 1 logs skipped (not in the contract ABI)']);
+    const rows = await storage.findTransactions({ chainName: 'OFFLINE', contractAddress: CONTRACT, fromBlock: 0 });
+    assert.deepEqual(rows.map((row) => [row.event_name, row.deposit_amount, row.deposit_amount_usd, row.token_amount, row.status]), [
+        ['BoughtWithNative', '2', '5000', '300', 'confirmed'],
+        ['BoughtWithUSDT', '40', null, '20', 'confirmed'],
+        ['claimHistory', '0', null, '100', 'confirmed'],
+    ]);
+
+    // Replaying the same recording again stores and counts nothing twice
+    await runReplay(t, [RECORDING]);
+    assert.equal((await storage.findTransactions({ chainName: 'OFFLINE', contractAddress: CONTRACT, fromBlock: 0 })).length, 3);
+    const balance = await storage.getChainDeposit(BUYER, 'OFFLINE');
+    assert.equal(balance.total_token_amount, '320');
+    assert.equal(balance.claimable_tokens, '220');
+});
+
+test('refuses a recording of a chain that is not in the network config', async (t) => {
+    const file = path.join(dir, 'unknown-chain.ndjson');
+    fs.writeFileSync(file, `${JSON.stringify({ chain: 'ELSEWHERE', topics: [], data: '0x' })}\n`);
+    await assert.rejects(runReplay(t, [file]), /chain "ELSEWHERE", which is not in the network config/);
+});
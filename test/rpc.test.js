@@ -0,0 +1,95 @@
+require('./helpers/env');
+process.env.WS_RECONNECT_MAX_MS = '20';
+const net = require('net');
+const { once } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createChainProvider, subscribeToBlocks } = require('../src/rpc');
+const { FakeChain } = require('./helpers/chain');
+
+// Helper function to answer the requests of an endpoint with `handler`
+function stubEndpoint(provider, index, handler) {
+    provider.endpoints[index].provider.send = async (method, params) => handler(method, params);
+}
+
+function endpointDown() {
+    throw Object.assign(new Error('missing response'), { code: ethers.errors.SERVER_ERROR });
+}
+
+test('fails over to the next endpoint and back to the primary once it has recovered', async () => {
+    const provider = createChainProvider({ name: 'FAILOVER', rpcUrls: ['http://primary.invalid', 'http://backup.invalid'] });
+    stubEndpoint(provider, 0, endpointDown);
+    stubEndpoint(provider, 1, () => '0x10');
+
+    assert.equal(await provider.send('eth_blockNumber', []), '0x10');
+    assert.equal(provider.active.label, 'backup.invalid');
+    assert.equal(provider.endpoints[0].healthy, false);
+
+    stubEndpoint(provider, 0, () => '0x10');
+    await provider.checkEndpoints();
+    assert.equal(provider.active.label, 'primary.invalid');
+    assert.equal(provider.endpoints[0].healthy, true);
+});
+
+test('takes a lagging endpoint out of rotation and does not fail over on a bad request', async () => {
+    const provider = createChainProvider({ name: 'LAGGING', rpcUrls: ['http://primary.invalid', 'http://backup.invalid'] });
+    stubEndpoint(provider, 0, () => '0x10');
+    stubEndpoint(provider, 1, () => '0x100');
+
+    await provider.checkEndpoints();
+    assert.equal(provider.endpoints[0].healthy, false);
+    assert.equal(provider.active.label, 'backup.invalid');
+
+    // A reverted call is an answer every endpoint would give
+    stubEndpoint(provider, 1, () => {
+        throw Object.assign(new Error('execution reverted'), { error: { code: 3, message: 'execution reverted' } });
+    });
+    await assert.rejects(provider.send('eth_call', []), /execution reverted/);
+    assert.equal(provider.active.label, 'backup.invalid');
+    assert.equal(provider.endpoints[1].healthy, true);
+});
+
+// Helper function to get the URL of a local port nothing listens on, so connections to it are refused
+async function refusedUrl() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    await once(server, 'close');
+    return `ws://127.0.0.1:${port}`;
+}
+
+test('releases the WebSocket provider of a closed connection before reconnecting', async (t) => {
+    const { WebSocketProvider } = ethers.providers;
+    const { destroy } = WebSocketProvider.prototype;
+    const released = [];
+    WebSocketProvider.prototype.destroy = function () {
+        released.push(this);
+        return destroy.call(this);
+    };
+    t.after(() => {
+        WebSocketProvider.prototype.destroy = destroy;
+    });
+
+    const urls = [await refusedUrl(), await refusedUrl()];
+    const blocks = subscribeToBlocks({ name: 'WS', wsUrls: urls }, new FakeChain());
+    await sleep(100);
+    blocks.stop();
+    await sleep(50);
+
+    // Every closed connection left its provider without listeners or requests waiting for an answer,
+    // the network detection of each provider included
+    assert.ok(released.length >= 2);
+    assert.deepEqual(released.slice(0, 2).map((wsProvider) => wsProvider.connection.url), urls);
+    for (const wsProvider of released) {
+        assert.deepEqual(wsProvider._requests, {});
+        assert.equal(wsProvider.listenerCount(), 0);
+    }
+
+    // Nothing reconnects once stopped
+    const count = released.length;
+    await sleep(100);
+    assert.equal(released.length, count);
+});
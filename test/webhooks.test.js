@@ -0,0 +1,93 @@
+const { dir } = require('./helpers/env');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { once } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEBHOOKS_CONFIG = path.join(dir, 'webhooks.json');
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_POLL_INTERVAL_MS = '20';
+
+const { storage } = require('../src/storage');
+const { announceConfirmed } = require('../src/transactions');
+const { startWebhookDispatcher, listDeliveries } = require('../src/webhooks');
+
+const SECRET = 'test-secret';
+
+// Receiver that answers the first `failures` requests with a 500, then 200s
+function startReceiver(failures) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = requests.length <= failures ? 500 : 200;
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    return { server, requests };
+}
+
+// Helper function to wait until `predicate` holds, for at most two seconds
+async function waitFor(predicate) {
+    for (let waited = 0; waited < 2000; waited += 20) {
+        if (await predicate()) return;
+        await sleep(20);
+    }
+    assert.fail('timed out waiting');
+}
+
+test('stores the deliveries of a confirmed transaction before the confirmation returns, then signs and retries them', async (t) => {
+    const { server, requests } = startReceiver(1);
+    await once(server, 'listening');
+    t.after(() => server.close());
+    fs.writeFileSync(process.env.WEBHOOKS_CONFIG, JSON.stringify({
+        subscriptions: [
+            { name: 'all', url: `http://127.0.0.1:${server.address().port}/hook`, secret: SECRET },
+            { name: 'claims', url: `http://127.0.0.1:${server.address().port}/claims`, secret: SECRET, events: ['claimHistory'] },
+        ],
+    }));
+
+    const dispatcher = startWebhookDispatcher();
+    t.after(() => dispatcher.stop());
+
+    const row = await storage.insertTransaction({
+        chain_name: 'WEBHOOKS',
+        transaction_hash: '0x' + 'ab'.repeat(32),
+        log_index: 0,
+        block_number: 3,
+        event_name: 'BoughtWithNative',
+        address: '0x0000000000000000000000000000000000000f01',
+        payment_type: 'native',
+        deposit_amount: '1.5',
+        token_amount: '100',
+        status: 'confirmed',
+    });
+    await announceConfirmed(row);
+
+    // Stored by the time the confirmation is done, for the matching subscription only
+    const stored = await listDeliveries(null, 10);
+    assert.deepEqual(stored.map((delivery) => delivery.subscription), ['all']);
+
+    await waitFor(async () => (await listDeliveries('delivered', 10)).length === 1);
+    const [delivery] = await listDeliveries('delivered', 10);
+    assert.equal(delivery.attempts, 2);
+    assert.equal(requests.length, 2);
+
+    for (const request of requests) {
+        const timestamp = request.headers['x-webhook-timestamp'];
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+        assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.equal(request.headers['x-webhook-event'], 'BoughtWithNative');
+    }
+    const body = JSON.parse(requests[1].body);
+    assert.equal(body.id, delivery.id);
+    assert.equal(body.data.transactionHash, row.transaction_hash);
+    assert.equal(body.data.depositAmount, '1.5');
+});